@@ -0,0 +1,119 @@
+// Interval annotations stored per videoID in localStorage, with JSON/CSV exchange
+window.AnnotationStore = class AnnotationStore {
+    constructor(videoID, storage = window.localStorage) {
+        this.videoID = videoID;
+        this.storage = storage;
+        this.annotations = [];
+        this.load();
+    }
+
+    get storageKey() {
+        return `dims-annotations-${this.videoID}`;
+    }
+
+    load() {
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            this.annotations = raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            console.warn(`Could not read annotations for ${this.videoID}:`, error);
+            this.annotations = [];
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.annotations));
+        } catch (error) {
+            console.error(`Could not save annotations for ${this.videoID}:`, error);
+        }
+    }
+
+    list() {
+        return [...this.annotations].sort((a, b) => a.start - b.start);
+    }
+
+    categories() {
+        return [...new Set(this.annotations.map(a => a.category).filter(Boolean))].sort();
+    }
+
+    add(fields) {
+        const annotation = AnnotationStore.normalize({ ...fields, id: fields.id || AnnotationStore.createId() });
+        this.annotations.push(annotation);
+        this.save();
+        return annotation;
+    }
+
+    update(id, fields) {
+        const index = this.annotations.findIndex(a => a.id === id);
+        if (index === -1) return null;
+        this.annotations[index] = AnnotationStore.normalize({ ...this.annotations[index], ...fields, id });
+        this.save();
+        return this.annotations[index];
+    }
+
+    remove(id) {
+        this.annotations = this.annotations.filter(a => a.id !== id);
+        this.save();
+    }
+
+    // Merge imported annotations, replacing any with the same id. Returns the number imported.
+    import(annotations) {
+        let count = 0;
+        annotations.forEach(fields => {
+            if (fields.videoID && String(fields.videoID) !== String(this.videoID)) return;
+            const annotation = AnnotationStore.normalize({ ...fields, id: fields.id || AnnotationStore.createId() });
+            if (!(annotation.end > annotation.start)) return;
+            const index = this.annotations.findIndex(a => a.id === annotation.id);
+            if (index === -1) {
+                this.annotations.push(annotation);
+            } else {
+                this.annotations[index] = annotation;
+            }
+            count++;
+        });
+        this.save();
+        return count;
+    }
+
+    toJSON() {
+        return JSON.stringify({ videoID: this.videoID, annotations: this.list() }, null, 2);
+    }
+
+    toCSV() {
+        const rows = this.list().map(a => ({ videoID: this.videoID, ...a }));
+        return Papa.unparse(rows, { columns: ['id', 'videoID', 'start', 'end', 'label', 'category', 'note'] });
+    }
+
+    static parse(text, filename = '') {
+        if (/\.csv$/i.test(filename) || !/^\s*[[{]/.test(text)) {
+            const result = Papa.parse(text, { header: true, dynamicTyping: true, skipEmptyLines: true });
+            return result.data;
+        }
+        const data = JSON.parse(text);
+        return Array.isArray(data) ? data : (data.annotations || []);
+    }
+
+    static normalize(fields) {
+        const start = parseFloat(fields.start);
+        const end = parseFloat(fields.end);
+        return {
+            id: String(fields.id),
+            start: Math.min(start, end),
+            end: Math.max(start, end),
+            label: fields.label ? String(fields.label) : '',
+            category: fields.category ? String(fields.category) : '',
+            note: fields.note ? String(fields.note) : ''
+        };
+    }
+
+    static createId() {
+        return `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    static categoryColor(category, categories) {
+        const palette = ['#74c0fc', '#ffa94d', '#8ce99a', '#e599f7', '#ffe066', '#ff8787', '#63e6be'];
+        const index = Math.max(0, categories.indexOf(category));
+        return palette[index % palette.length];
+    }
+};
@@ -10,6 +10,59 @@ class DIMSApp {
         this.timeSlider = null;
         this.rqaData = null;
         this.currentTab = 'timeseries';
+        this.playheadTime = null;
+        this.isPlaying = false;
+        this.followPlayback = false;
+        this.playheadFrame = null;
+        this.timeseriesSubplotCount = 0;
+        this.timeseriesSubplots = [];
+        this.timeseriesTitles = [];
+        this.timeseriesTraceSeries = []; // series drawn by each downsampled trace, by trace index
+        this.timeseriesXRange = null;    // visible time range; null when zoomed out
+        this.timeAlignedPlots = {}; // containerId -> subplot count, for playhead updates
+        this.boundPlots = new WeakSet(); // figures whose Plotly listeners are attached
+        this.columnLayout = 'subplots';
+        this.gapFill = 'none'; // how gaps are drawn: 'none' (breaks), 'interpolate' or 'hold'
+        this.rqaTimeRanges = {};
+        this.rqaWorker = null;
+        this.rqaWorkerFailed = false; // set once the worker can't be created or fails to load
+        // Rebuilding the statistics tables ~10 times a second while following playback churns the layout
+        this.followStats = _.throttle(() => this.renderWindowStats(), 1000);
+        this.rqaRequest = 0;
+        this.rqaLoading = false;
+        this.crqaData = null;
+        this.crqaRequest = 0;
+        this.transcriptPanel = null;
+        this.transcriptWords = [];
+        this.searchHits = [];
+        this.speakerBands = [];
+        this.showSpeakerBands = false;
+        this.annotationStore = null;
+        this.annotationMode = false;
+        this.editingAnnotationId = null;
+        this.activeAnnotationId = null;
+        this.detectedEvents = [];
+        this.eventSort = { key: 'time', ascending: true };
+        this.comparePanes = null; // [A, B] once comparison mode has been opened
+        this.overviewRows = null;
+        this.overviewRequest = 0;
+        this.overviewSort = { key: 'videoID', ascending: true };
+        this.transport = { loop: false, rate: 1, preRoll: 0, postRoll: 0, fps: null }; // segment player
+        this.mediaSources = [];     // players configured for the current video
+        this.primaryMedia = 0;      // index of the source shown large
+        this.mediaResumeTime = undefined; // dashboard time the players jump to after switching sources
+        this.alignMode = false;
+        this.alignSuggestion = null; // { dataset, offset } proposed by cross-correlation
+        this.diagnostics = { issues: [], done: true }; // setup check results
+        this.diagnosticsRequest = 0;
+        this.diagnosticsOpen = null; // details shown: null follows whether there are errors
+        this.restoringView = false; // true while applying a URL, so it isn't written back
+        this.lastHistoryPush = 0;
+        
+        // Bound once so the video component doesn't re-subscribe on every render
+        this.handlePlaybackTime = this.handlePlaybackTime.bind(this);
+        this.handleTransportChange = this.handleTransportChange.bind(this);
+        this.stepWindow = this.stepWindow.bind(this);
     }
 
     async initialize() {
@@ -20,25 +73,45 @@ class DIMSApp {
             this.config = await this.loadJSON('config.json');
             
             if (!this.config) {
+                this.diagnostics = {
+                    issues: [window.Diagnostics.issue('error', 'config.json', 'Could not be loaded, or is not valid JSON.',
+                        'Look for typos such as a trailing comma (a JSON validator points at the line), and open the dashboard through a web server, not as a local file.')],
+                    done: true
+                };
+                this.renderDiagnostics();
                 throw new Error('Failed to load config.json');
             }
             
             this.showStatus('Setting up interface...');
+            this.transport = { ...this.transport, ...(this.config.playback || {}) };
             
             // Setup UI
             this.setupHeader();
             this.setupTabs();
             this.setupControls();
+            this.setupTranscriptPanel();
+            this.setupAnnotationPanel();
+            this.setupEventPanel();
+            this.setupAlignmentPanel();
+            this.setupComparison();
+            this.setupFigureExport();
+            this.setupDiagnostics();
             this.setupEventListeners();
             
-            // Load first video by default
+            // Restore the view from a shared link, otherwise load the first video
             if (this.config.videoIDs && this.config.videoIDs.length > 0) {
-                const firstVideoID = this.config.videoIDs[0];
-                document.getElementById('videoSelect').value = firstVideoID;
-                await this.loadVideoData(firstVideoID);
+                await this.applyViewState(window.URLState.parse(window.location.hash));
+                window.addEventListener('popstate', () => {
+                    this.applyViewState(window.URLState.parse(window.location.hash));
+                });
             } else {
                 this.showStatus('No videos configured. Please check config.json');
             }
+            
+            // Checked after the first video is up, so it doesn't delay the dashboard
+            if (this.config.diagnostics !== false) {
+                this.runDiagnostics();
+            }
         } catch (error) {
             console.error('Failed to initialize app:', error);
             this.showError(`Failed to initialize: ${error.message}`);
@@ -46,45 +119,61 @@ class DIMSApp {
     }
 
     setupTabs() {
-        // Check if RQA should be included
-        if (!this.config.include_RQA || this.config.include_RQA.length === 0) {
-            // No RQA, hide tab container if it exists
-            const tabContainer = document.getElementById('tabContainer');
-            if (tabContainer) tabContainer.style.display = 'none';
-            return;
-        }
+        // The RQA tab is only offered when measurements are listed in include_RQA
+        const includeRQA = this.config.include_RQA && this.config.include_RQA.length > 0;
         
         // Create tab UI if not exists
         let tabContainer = document.getElementById('tabContainer');
         if (!tabContainer) {
+            const tabs = [['timeseries', 'Time Series'], ['overview', 'Corpus Overview']];
+            if (includeRQA) tabs.push(['rqa', 'RQA Plots']);
+            
             // Create tab container above plot container
             const plotContainer = document.getElementById('plotContainer');
             tabContainer = document.createElement('div');
             tabContainer.id = 'tabContainer';
             tabContainer.innerHTML = `
                 <div class="tabs" style="margin: 20px 0; border-bottom: 2px solid #444;">
-                    <button class="tab-button active" data-tab="timeseries" style="
-                        padding: 10px 20px;
-                        background: #333;
-                        color: white;
-                        border: none;
-                        margin-right: 5px;
-                        cursor: pointer;
-                        border-bottom: 3px solid #007bff;
-                    ">Time Series</button>
-                    <button class="tab-button" data-tab="rqa" style="
+                    ${tabs.map(([tab, title], i) => `<button class="tab-button${i === 0 ? ' active' : ''}" data-tab="${tab}" style="
                         padding: 10px 20px;
-                        background: #222;
+                        background: ${i === 0 ? '#333' : '#222'};
                         color: white;
                         border: none;
                         margin-right: 5px;
                         cursor: pointer;
-                        border-bottom: 3px solid transparent;
-                    ">RQA Plots</button>
+                        border-bottom: 3px solid ${i === 0 ? '#007bff' : 'transparent'};
+                    ">${title}</button>`).join('')}
                 </div>
             `;
             plotContainer.parentNode.insertBefore(tabContainer, plotContainer);
             
+            // Create overview container
+            const overviewContainer = document.createElement('div');
+            overviewContainer.id = 'overviewContainer';
+            overviewContainer.style.display = 'none';
+            overviewContainer.style.backgroundColor = '#111';
+            overviewContainer.style.padding = '20px';
+            overviewContainer.innerHTML = `
+                <h2 style="color: white; margin-bottom: 20px;">Corpus Overview</h2>
+                <div class="panel-toolbar rqa-settings">
+                    <label>Measure
+                        <select id="overviewMeasure">
+                            <option value="">All measures</option>
+                        </select>
+                    </label>
+                    <label>Threshold <input type="number" id="overviewThreshold" value="0.5" step="0.1" style="width: 80px;"></label>
+                    <button type="button" class="panel-button" id="overviewLoad">Reload all videos</button>
+                </div>
+                <div class="search-summary" id="overviewStatus"></div>
+                <div id="overviewTable"></div>
+            `;
+            plotContainer.parentNode.insertBefore(overviewContainer, plotContainer.nextSibling);
+            this.setupOverview();
+        }
+        
+        if (includeRQA && !document.getElementById('rqaContainer')) {
+            const plotContainer = document.getElementById('plotContainer');
+            
             // Create RQA container
             const rqaContainer = document.createElement('div');
             rqaContainer.id = 'rqaContainer';
@@ -92,7 +181,52 @@ class DIMSApp {
             rqaContainer.style.minHeight = '800px';
             rqaContainer.style.backgroundColor = '#111';
             rqaContainer.style.padding = '20px';
+            rqaContainer.innerHTML = `
+                <h2 style="color: white; margin-bottom: 20px;">Recurrence Quantification Analysis</h2>
+                <div class="panel-toolbar rqa-settings" id="rqaSettings">
+                    <label>Source
+                        <select id="rqaSource">
+                            <option value="auto">Precomputed file, else browser</option>
+                            <option value="file">Precomputed file only</option>
+                            <option value="browser">Compute in browser</option>
+                        </select>
+                    </label>
+                    <label>Threshold
+                        <select id="rqaThresholdMode">
+                            <option value="rate">Target recurrence rate (%)</option>
+                            <option value="radius">Fixed radius</option>
+                        </select>
+                    </label>
+                    <input type="number" id="rqaThresholdValue" value="7" min="0" step="0.5" style="width: 80px;">
+                    <label>Embedding dim. <input type="number" id="rqaEmbedding" value="1" min="1" step="1" style="width: 60px;"></label>
+                    <label>Delay <input type="number" id="rqaDelay" value="1" min="1" step="1" style="width: 60px;"></label>
+                    <label>Min. line <input type="number" id="rqaMinLine" value="2" min="1" step="1" style="width: 60px;"></label>
+                    <label>Normalization
+                        <select id="rqaNormalization">
+                            <option value="zscore">z-score</option>
+                            <option value="minmax">min-max</option>
+                            <option value="none">none</option>
+                        </select>
+                    </label>
+                    <label>Window (s) <input type="number" id="rqaWindowSeconds" value="30" min="0" step="5" style="width: 70px;"></label>
+                    <label>Step (s) <input type="number" id="rqaStepSeconds" value="5" min="0.5" step="0.5" style="width: 70px;"></label>
+                    <button type="button" class="panel-button" id="rqaApply">Apply</button>
+                    <button type="button" class="panel-button" id="rqaExportJSON">Export measures</button>
+                    <button type="button" class="panel-button" id="rqaExportCSV">Export windowed CSV</button>
+                </div>
+                <div class="panel-toolbar rqa-settings" id="rqaCrossSettings">
+                    <strong>Cross-recurrence</strong>
+                    <label>Series A <select id="rqaCrossA"></select></label>
+                    <label>Series B <select id="rqaCrossB"></select></label>
+                    <label>Max lag (s) <input type="number" id="rqaMaxLag" value="10" min="0" step="1" style="width: 70px;"></label>
+                    <button type="button" class="panel-button" id="rqaCrossRun">Compute CRQA</button>
+                    <button type="button" class="panel-button" id="rqaCrossClear">Clear</button>
+                </div>
+                <div id="rqaPlots"></div>
+                <div id="rqaCrossPlots"></div>
+            `;
             plotContainer.parentNode.insertBefore(rqaContainer, plotContainer.nextSibling);
+            this.setupRQASettings();
         }
         
         // Add tab click handlers
@@ -123,27 +257,253 @@ class DIMSApp {
         });
         
         // Show/hide containers
-        const plotContainer = document.getElementById('plotContainer');
-        const rqaContainer = document.getElementById('rqaContainer');
+        const containers = { timeseries: 'plotContainer', overview: 'overviewContainer', rqa: 'rqaContainer' };
+        Object.entries(containers).forEach(([tab, id]) => {
+            const container = document.getElementById(id);
+            if (container) container.style.display = tab === tabName ? 'block' : 'none';
+        });
         
-        if (tabName === 'timeseries') {
-            plotContainer.style.display = 'block';
-            rqaContainer.style.display = 'none';
+        if (tabName === 'overview' && !this.overviewRows && this.overviewRequest === 0) {
+            this.loadOverview();
         } else if (tabName === 'rqa') {
-            plotContainer.style.display = 'none';
-            rqaContainer.style.display = 'block';
             
             // Load RQA if not already loaded
-            if (this.currentVideoID && !this.rqaData) {
+            if (this.currentVideoID && !this.rqaData && !this.rqaLoading) {
+                this.loadRQAData(this.currentVideoID);
+            } else if (this.rqaData || this.crqaData) {
+                // Catch up on selection, playhead and annotation changes made on the other tab
+                this.refreshRQAShapes();
+                this.updateRQAReadout();
+            }
+        }
+        
+        this.syncURL(false);
+    }
+
+    getViewState() {
+        const defaultLayout = this.config.columnLayout || 'subplots';
+        return {
+            video: String(this.currentVideoID),
+            time: this.lastClickedPoint !== null ? this.lastClickedPoint : undefined,
+            window: this.getWindowSize(),
+            tab: this.currentTab,
+            zoom: this.timeseriesXRange,
+            query: document.getElementById('transcriptSearchInput').value,
+            regex: document.getElementById('transcriptSearchRegex').checked,
+            speaker: document.getElementById('transcriptSearchSpeaker').value,
+            bands: this.showSpeakerBands,
+            layout: this.columnLayout !== defaultLayout ? this.columnLayout : undefined,
+            annotation: this.activeAnnotationId
+        };
+    }
+
+    // Mirror the view in the URL hash. Selections add a history entry (one per burst, so
+    // dragging the slider doesn't flood the history); other changes replace the current one.
+    syncURL(push) {
+        if (this.restoringView || this.currentVideoID === null) return;
+        const hash = window.URLState.format(this.getViewState());
+        if (hash === window.location.hash) return;
+        
+        const now = Date.now();
+        if (push && now - this.lastHistoryPush > 1000) {
+            history.pushState(null, '', hash);
+        } else {
+            history.replaceState(null, '', hash);
+        }
+        if (push) this.lastHistoryPush = now;
+    }
+
+    // Apply a parsed URL state (initial load, back/forward, edited hash)
+    async applyViewState(state) {
+        this.restoringView = true;
+        try {
+            const videoIDs = this.config.videoIDs || [];
+            const linkedVideo = videoIDs.find(id => String(id) === state.video);
+            const videoID = linkedVideo !== undefined ? linkedVideo : (this.currentVideoID !== null ? this.currentVideoID : videoIDs[0]);
+            if (String(videoID) !== String(this.currentVideoID)) {
+                document.getElementById('videoSelect').value = videoID;
+                await this.loadVideoData(videoID);
+            }
+            if (!this.currentData) return;
+            
+            if (state.window) {
+                document.getElementById('windowSize').value = state.window;
+            }
+            
+            const layout = state.layout || this.config.columnLayout || 'subplots';
+            if (layout !== this.columnLayout) {
+                document.getElementById('columnLayout').value = layout;
+                this.columnLayout = layout;
+                this.plotTimeseries(this.currentData, this.lastClickedPoint);
+            }
+            
+            const bands = Boolean(state.bands);
+            if (bands !== this.showSpeakerBands) {
+                document.getElementById('showSpeakerBands').checked = bands;
+                this.showSpeakerBands = bands;
+                this.renderSpeakerLegend();
+                this.refreshTimeAlignedShapes();
+            }
+            
+            const searchInput = document.getElementById('transcriptSearchInput');
+            const speakerSelect = document.getElementById('transcriptSearchSpeaker');
+            const regexBox = document.getElementById('transcriptSearchRegex');
+            if ((state.query || '') !== searchInput.value || (state.speaker || '') !== speakerSelect.value
+                || Boolean(state.regex) !== regexBox.checked) {
+                searchInput.value = state.query || '';
+                speakerSelect.value = state.speaker || '';
+                regexBox.checked = Boolean(state.regex);
+                this.runTranscriptSearch();
+            }
+            
+            this.setTimeseriesZoom(state.zoom || null);
+            
+            const annotation = state.annotation && this.annotationStore
+                ? this.annotationStore.list().find(a => a.id === state.annotation)
+                : null;
+            this.activeAnnotationId = annotation ? annotation.id : null;
+            this.renderAnnotationList();
+            
+            let time = state.time;
+            if (time === undefined && annotation) time = (annotation.start + annotation.end) / 2;
+            if (time !== undefined) {
+                this.seekTo(time);
+            } else if (this.lastClickedPoint !== null) {
+                this.lastClickedPoint = null;
+                this.updateSelectionShapes();
+                this.renderWindowStats();
+                if (this.currentTab === 'rqa') this.updateRQAHighlights();
+            }
+            
+            const tab = ['rqa', 'overview'].includes(state.tab) && document.getElementById(`${state.tab}Container`)
+                ? state.tab
+                : 'timeseries';
+            if (tab !== this.currentTab) {
+                this.switchTab(tab);
+            }
+        } finally {
+            this.restoringView = false;
+        }
+        this.syncURL(false);
+    }
+
+    setupRQASettings() {
+        // Prefill from config.rqaSettings
+        const defaults = this.config.rqaSettings || {};
+        const setValue = (id, value) => {
+            if (value !== undefined && value !== null) document.getElementById(id).value = value;
+        };
+        setValue('rqaSource', defaults.source);
+        if (defaults.threshold !== undefined && defaults.threshold !== null) {
+            setValue('rqaThresholdMode', 'radius');
+            setValue('rqaThresholdValue', defaults.threshold);
+        } else if (defaults.targetRecurrence !== undefined) {
+            setValue('rqaThresholdValue', defaults.targetRecurrence * 100);
+        }
+        setValue('rqaEmbedding', defaults.embeddingDimension);
+        setValue('rqaDelay', defaults.delay);
+        setValue('rqaMinLine', defaults.minLineLength);
+        setValue('rqaNormalization', defaults.normalization);
+        setValue('rqaWindowSeconds', defaults.windowSeconds);
+        setValue('rqaStepSeconds', defaults.stepSeconds);
+        setValue('rqaMaxLag', defaults.maxLagSeconds);
+        
+        document.getElementById('rqaExportJSON').addEventListener('click', () => this.exportRQAMeasures('json'));
+        document.getElementById('rqaExportCSV').addEventListener('click', () => this.exportRQAMeasures('csv'));
+        
+        document.getElementById('rqaApply').addEventListener('click', () => {
+            if (this.currentVideoID) {
                 this.loadRQAData(this.currentVideoID);
-            } else if (this.rqaData && this.lastClickedPoint !== null) {
-                // Update highlights if we have a selected time
-                this.updateRQAHighlights();
             }
+        });
+        
+        document.getElementById('rqaCrossRun').addEventListener('click', () => this.computeCRQA());
+        document.getElementById('rqaCrossClear').addEventListener('click', () => this.clearCRQA());
+    }
+
+    populateCRQASeries() {
+        // Any loaded data type or column can be paired, not only those in include_RQA
+        const series = this.getSeriesList();
+        ['rqaCrossA', 'rqaCrossB'].forEach((id, i) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = '';
+            series.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.key;
+                option.textContent = entry.label;
+                select.appendChild(option);
+            });
+            if (series.length > 1) select.value = series[i].key;
+        });
+    }
+
+    getRQAParameters() {
+        const modeEl = document.getElementById('rqaThresholdMode');
+        const valueEl = document.getElementById('rqaThresholdValue');
+        let thresholdMode = modeEl.value;
+        let thresholdValue = parseFloat(valueEl.value);
+        // An empty or out-of-range field would give an all-zero plot; use the configured default instead
+        if (!(thresholdValue > 0) || (thresholdMode === 'rate' && thresholdValue > 100)) {
+            const configured = this.config.rqaSettings || {};
+            if (thresholdMode === 'radius' && configured.threshold > 0) {
+                thresholdValue = configured.threshold;
+            } else {
+                thresholdMode = 'rate';
+                const rate = configured.targetRecurrence > 0 && configured.targetRecurrence <= 1
+                    ? configured.targetRecurrence
+                    : window.RQAEngine.defaults.targetRecurrence;
+                thresholdValue = Number((rate * 100).toPrecision(6));
+            }
+            console.warn(`Invalid RQA threshold "${valueEl.value}", using ${thresholdValue} (${thresholdMode})`);
+            modeEl.value = thresholdMode;
+            valueEl.value = thresholdValue;
         }
+        return {
+            threshold: thresholdMode === 'radius' ? thresholdValue : null,
+            targetRecurrence: thresholdMode === 'rate' ? thresholdValue / 100 : undefined,
+            embeddingDimension: Math.max(1, parseInt(document.getElementById('rqaEmbedding').value) || 1),
+            delay: Math.max(1, parseInt(document.getElementById('rqaDelay').value) || 1),
+            minLineLength: Math.max(1, parseInt(document.getElementById('rqaMinLine').value) || 2),
+            normalization: document.getElementById('rqaNormalization').value,
+            maxLagSeconds: Math.max(0, parseFloat(document.getElementById('rqaMaxLag').value) || 0),
+            windowSeconds: Math.max(0, parseFloat(document.getElementById('rqaWindowSeconds').value) || 0),
+            stepSeconds: Math.max(0.1, parseFloat(document.getElementById('rqaStepSeconds').value) || 5)
+        };
     }
 
     async loadRQAData(videoID) {
+        const source = document.getElementById('rqaSource').value;
+        
+        // Only the most recent request may display its results
+        const request = ++this.rqaRequest;
+        this.rqaLoading = true;
+        try {
+            await this.loadRQAForRequest(videoID, source, request);
+        } finally {
+            if (request === this.rqaRequest) this.rqaLoading = false;
+        }
+    }
+
+    async loadRQAForRequest(videoID, source, request) {
+        if (source !== 'browser') {
+            const rqaData = await this.loadRQAFile(videoID);
+            if (request !== this.rqaRequest) return;
+            if (rqaData) {
+                this.rqaData = rqaData;
+                this.displayRQAPlots();
+                return;
+            }
+            if (source === 'file') {
+                this.showError('RQA data not found. Run the Python RQA script first, or choose "Compute in browser".');
+                return;
+            }
+        }
+        
+        await this.computeRQAInBrowser(videoID, request);
+    }
+
+    async loadRQAFile(videoID) {
         this.showStatus('Loading RQA data...');
         
         try {
@@ -154,22 +514,21 @@ class DIMSApp {
             const rqaData = await this.loadJSON(dataPath);
             
             if (!rqaData) {
-                this.showError('RQA data not found. Run the Python RQA script first.');
-                return;
+                console.warn('No precomputed RQA data found at', dataPath);
+                return null;
             }
             
             console.log('RQA data loaded:', rqaData);
             
             // Validate data structure
             if (!rqaData.rqa_data || Object.keys(rqaData.rqa_data).length === 0) {
-                this.showError('RQA data is empty or invalid format.');
                 console.error('Invalid RQA data structure:', rqaData);
-                return;
+                return null;
             }
             
             // Check if data types match config
             const configDataTypes = this.config.include_RQA || [];
-            const rqaDataTypes = Object.keys(rqaData.rqa_data);
+            const rqaDataTypes = Object.entries(rqaData.rqa_data).map(([key, result]) => result.data_type || key);
             console.log('Config data types:', configDataTypes);
             console.log('RQA data types:', rqaDataTypes);
             
@@ -179,17 +538,230 @@ class DIMSApp {
                 console.warn('Data types in config but not in RQA data:', missingInRQA);
             }
             
-            this.rqaData = rqaData;
-            this.displayRQAPlots();
-            
+            return rqaData;
         } catch (error) {
             console.error('Error loading RQA data:', error);
-            this.showError(`Failed to load RQA data: ${error.message}`);
+            return null;
+        }
+    }
+
+    async computeRQAInBrowser(videoID, request) {
+        const includeRQA = this.config.include_RQA || [];
+        const series = this.getSeriesList().filter(entry => includeRQA.includes(entry.dataType));
+        if (series.length === 0) {
+            this.showError('None of the loaded data types are listed in include_RQA.');
+            return;
+        }
+        
+        const params = this.getRQAParameters();
+        this.showStatus(`Computing RQA in the browser for ${series.length} series...`);
+        
+        const results = await Promise.all(series.map(entry => {
+            const { times, values } = window.DIMSStats.extractSeries(entry.dataset.data, entry.column);
+            return this.runRQAJob({ times, values, params })
+                .then(result => ({ ...result, data_type: entry.dataType, column: entry.column, key: entry.key }))
+                .catch(error => {
+                    console.error(`RQA failed for ${entry.key}:`, error);
+                    return null;
+                });
+        }));
+        
+        // Ignore results if the user switched videos or settings while we were computing
+        if (request !== this.rqaRequest || videoID !== this.currentVideoID) return;
+        
+        const rqaResults = {};
+        results.forEach(result => {
+            if (result) rqaResults[result.key] = result;
+        });
+        
+        if (Object.keys(rqaResults).length === 0) {
+            this.showError('RQA could not be computed for any series. Check the console for details.');
+            return;
+        }
+        
+        this.rqaData = { video_id: videoID, rqa_data: rqaResults };
+        this.displayRQAPlots();
+    }
+
+    runRQAJob(payload) {
+        // Fall back to the main thread where workers are unavailable (e.g. file:// pages):
+        // either new Worker throws, or the script fails to load and onerror fires later
+        if (this.rqaWorkerFailed) {
+            return this.runRQAOnMainThread(payload);
+        }
+        if (!this.rqaWorker) {
+            try {
+                this.rqaWorker = new Worker('js/rqa-worker.js');
+                this.rqaJobs = new Map();
+                this.rqaJobCounter = 0;
+                this.rqaWorker.onmessage = (e) => {
+                    const job = this.rqaJobs.get(e.data.id);
+                    if (!job) return;
+                    this.rqaJobs.delete(e.data.id);
+                    if (e.data.error) job.reject(new Error(e.data.error));
+                    else job.resolve(e.data.result);
+                };
+                this.rqaWorker.onerror = (e) => {
+                    console.warn('RQA worker failed, computing RQA on the main thread:', e.message || e);
+                    this.rqaWorker = null;
+                    this.rqaWorkerFailed = true;
+                    this.rqaJobs.forEach(job => {
+                        this.runRQAOnMainThread(job.payload).then(job.resolve, job.reject);
+                    });
+                    this.rqaJobs.clear();
+                };
+            } catch (error) {
+                console.warn('Web Worker unavailable, computing RQA on the main thread:', error);
+                this.rqaWorkerFailed = true;
+                return this.runRQAOnMainThread(payload);
+            }
+        }
+        
+        return new Promise((resolve, reject) => {
+            const id = ++this.rqaJobCounter;
+            this.rqaJobs.set(id, { resolve, reject, payload });
+            this.rqaWorker.postMessage({ id, ...payload });
+        });
+    }
+
+    runRQAOnMainThread(payload) {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                try {
+                    resolve(window.RQAEngine.run(payload));
+                } catch (computeError) {
+                    reject(computeError);
+                }
+            }, 0);
+        });
+    }
+
+    async computeCRQA() {
+        const seriesList = this.getSeriesList();
+        const seriesA = seriesList.find(entry => entry.key === document.getElementById('rqaCrossA').value);
+        const seriesB = seriesList.find(entry => entry.key === document.getElementById('rqaCrossB').value);
+        if (!seriesA || !seriesB) {
+            this.showError('Choose two series for cross-recurrence.');
+            return;
+        }
+        
+        const videoID = this.currentVideoID;
+        const request = ++this.crqaRequest;
+        this.showStatus(`Computing cross-recurrence of ${seriesA.label} and ${seriesB.label}...`);
+        
+        try {
+            const result = await this.runRQAJob({
+                mode: 'cross',
+                seriesA: window.DIMSStats.extractSeries(seriesA.dataset.data, seriesA.column),
+                seriesB: window.DIMSStats.extractSeries(seriesB.dataset.data, seriesB.column),
+                params: this.getRQAParameters()
+            });
+            if (request !== this.crqaRequest || videoID !== this.currentVideoID) return;
+            
+            this.crqaData = { ...result, series: [seriesA.key, seriesB.key] };
+            this.displayCRQAPlots();
+            this.updateRQAReadout();
+            this.showStatus('Cross-recurrence computed. Click on the plot to select a time point.');
+        } catch (error) {
+            if (request !== this.crqaRequest) return;
+            console.error('CRQA failed:', error);
+            this.showError(`Cross-recurrence failed: ${error.message}`);
         }
     }
 
+    clearCRQA() {
+        this.crqaRequest++;
+        this.crqaData = null;
+        delete this.rqaTimeRanges['rqa-cross-plot'];
+        const container = document.getElementById('rqaCrossPlots');
+        if (container) container.innerHTML = '';
+        this.updateRQAReadout();
+    }
+
+    displayCRQAPlots() {
+        const container = document.getElementById('rqaCrossPlots');
+        if (!container || !this.crqaData) return;
+        
+        container.innerHTML = '';
+        const grid = document.createElement('div');
+        grid.style.display = 'grid';
+        grid.style.gridTemplateColumns = 'repeat(2, 1fr)';
+        grid.style.gap = '20px';
+        grid.style.marginTop = '20px';
+        ['rqa-cross-plot', 'rqa-cross-profile'].forEach(id => {
+            const plotDiv = document.createElement('div');
+            plotDiv.id = id;
+            plotDiv.style.height = '500px';
+            plotDiv.style.backgroundColor = '#222';
+            plotDiv.style.padding = '10px';
+            plotDiv.style.borderRadius = '5px';
+            grid.appendChild(plotDiv);
+        });
+        container.appendChild(grid);
+        
+        this.createRQAPlot('rqa-cross-plot', this.crqaData.series.join('|'), this.crqaData);
+        this.plotCRQAProfile();
+    }
+
+    plotCRQAProfile() {
+        const profile = this.crqaData.profile;
+        const [labelA, labelB] = this.crqaData.series.map(key => this.getSeriesLabel(key));
+        
+        // Strongest coupling: the lag with the highest diagonal recurrence
+        let peak = 0;
+        profile.recurrence.forEach((value, i) => {
+            if (value > profile.recurrence[peak]) peak = i;
+        });
+        const peakLag = profile.lag[peak];
+        
+        const traces = [{
+            x: profile.lag,
+            y: profile.recurrence.map(value => value * 100),
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#74c0fc', width: 2 },
+            hovertemplate: 'Lag: %{x:.2f}s<br>Recurrence: %{y:.2f}%<extra></extra>'
+        }];
+        
+        const layout = {
+            title: {
+                text: `Diagonal recurrence profile<br><sub>Peak at ${peakLag.toFixed(2)}s ` +
+                    `(${peakLag > 0 ? `${labelB} follows ${labelA}` : peakLag < 0 ? `${labelA} follows ${labelB}` : 'in phase'})</sub>`,
+                font: { color: 'white', size: 16 }
+            },
+            paper_bgcolor: '#222',
+            plot_bgcolor: '#333',
+            font: { color: 'white' },
+            xaxis: { title: `Lag (s), positive: ${labelB} follows ${labelA}`, gridcolor: '#444', zeroline: false },
+            yaxis: { title: 'Recurrence (%)', gridcolor: '#444', rangemode: 'tozero' },
+            shapes: [
+                {
+                    type: 'line',
+                    x0: 0, x1: 0, y0: 0, y1: 1,
+                    xref: 'x', yref: 'paper',
+                    line: { color: '#888', width: 1, dash: 'dot' }
+                },
+                {
+                    type: 'line',
+                    x0: peakLag, x1: peakLag, y0: 0, y1: 1,
+                    xref: 'x', yref: 'paper',
+                    line: { color: 'yellow', width: 1 }
+                }
+            ],
+            margin: { t: 80, r: 30, b: 60, l: 60 },
+            hovermode: 'closest'
+        };
+        
+        Plotly.newPlot('rqa-cross-profile', traces, layout, { responsive: true });
+    }
+
+    getSeriesLabel(key) {
+        const series = this.getSeriesList().find(entry => entry.key === key);
+        return series ? series.label : key;
+    }
+
     displayRQAPlots() {
-        const container = document.getElementById('rqaContainer');
+        const container = document.getElementById('rqaPlots');
         if (!container) {
             console.error('RQA container element not found!');
             return;
@@ -202,7 +774,11 @@ class DIMSApp {
         
         console.log('Displaying RQA plots for:', this.rqaData);
         
-        container.innerHTML = '<h2 style="color: white; margin-bottom: 20px;">Recurrence Quantification Analysis</h2>';
+        container.innerHTML = '';
+        Object.keys(this.rqaTimeRanges)
+            .filter(containerId => containerId.startsWith('rqa-plot-'))
+            .forEach(containerId => delete this.rqaTimeRanges[containerId]);
+        delete this.timeAlignedPlots.rqaWindowedPlot;
         
         // Create grid for RQA plots
         const grid = document.createElement('div');
@@ -235,6 +811,21 @@ class DIMSApp {
         // Add grid to container
         container.appendChild(grid);
         
+        // Line-based measures for the selected window
+        const readout = document.createElement('div');
+        readout.id = 'rqaWindowReadout';
+        readout.className = 'rqa-readout';
+        container.appendChild(readout);
+        
+        // Sliding-window measures, time-aligned with the selection
+        const hasWindowed = Object.values(this.rqaData.rqa_data).some(plotData => plotData.windowed);
+        if (hasWindowed) {
+            const windowedDiv = document.createElement('div');
+            windowedDiv.id = 'rqaWindowedPlot';
+            windowedDiv.style.marginTop = '20px';
+            container.appendChild(windowedDiv);
+        }
+        
         // Now create all plots after DOM is updated
         setTimeout(() => {
             plotConfigs.forEach(config => {
@@ -250,6 +841,9 @@ class DIMSApp {
                 }
             });
             
+            this.plotRQAWindowed();
+            this.updateRQAReadout();
+            
             this.showStatus('RQA plots loaded. Click on any plot to select a time point.');
         }, 100); // Give DOM time to update
     }
@@ -280,41 +874,25 @@ class DIMSApp {
         
         console.log(`Creating RQA plot for ${dataType} with matrix size ${vis.matrix_size}`);
         
-        // Find the color for this dataType from the main timeseries
-        let dataColor = 'blue'; // default
-        if (this.currentData) {
-            const dataIndex = this.currentData.findIndex(dataset => dataset.name === dataType);
-            if (dataIndex !== -1) {
-                // Use the same HSL color calculation as in plotTimeseries
-                dataColor = `hsl(${dataIndex * 360 / this.currentData.length}, 70%, 50%)`;
-            }
-        }
-        
-        // Sort time and data arrays together to prevent wrapping
-        const timeDataPairs = vis.time.map((t, i) => ({ time: t, data: vis.data[i] }));
-        timeDataPairs.sort((a, b) => a.time - b.time);
-        const sortedTime = timeDataPairs.map(pair => pair.time);
-        const sortedData = timeDataPairs.map(pair => pair.data);
-        
-        // Convert sparse matrix to dense for heatmap
-        const matrix = new Array(vis.matrix_size).fill(null).map(() => 
-            new Array(vis.matrix_size).fill(0)
-        );
+        // Use the same color and label as the matching series in the main timeseries.
+        // Cross-recurrence puts series A on the rows (left) and series B on the columns (top).
+        const seriesList = this.getSeriesList();
+        const keys = plotData.cross ? plotData.series : [dataType, dataType];
+        const [rowSeries, columnSeries] = keys.map(key => seriesList.find(entry => entry.key === key));
+        const rowColor = rowSeries ? rowSeries.color : 'blue';
+        const columnColor = columnSeries ? columnSeries.color : 'blue';
+        const [rowLabel, columnLabel] = keys.map(key => this.getSeriesLabel(key));
+        const label = plotData.cross ? `Cross-recurrence: ${rowLabel} × ${columnLabel}` : rowLabel;
         
-        // Fill in the recurrence points
-        vis.sparse_matrix.forEach(([row, col]) => {
-            if (row < vis.matrix_size && col < vis.matrix_size) {
-                matrix[row][col] = 1;
-            }
-        });
+        const heatmap = this.getRQAHeatmap(plotData);
         
         // Create traces
         const traces = [
             // Main RQA heatmap
             {
-                x: sortedTime,
-                y: sortedTime,
-                z: matrix,
+                x: heatmap.time,
+                y: heatmap.time,
+                z: heatmap.z,
                 type: 'heatmap',
                 colorscale: [[0, 'white'], [1, 'black']],
                 showscale: false,
@@ -324,22 +902,22 @@ class DIMSApp {
             },
             // X-axis timeseries
             {
-                x: sortedTime,
-                y: sortedData,
+                x: heatmap.time,
+                y: heatmap.columnData,
                 type: 'scatter',
                 mode: 'lines',
-                line: { color: dataColor, width: 2 },
+                line: { color: columnColor, width: 2 },
                 xaxis: 'x2',
                 yaxis: 'y2',
                 hovertemplate: 'Time: %{x:.1f}s<br>Value: %{y:.2f}<extra></extra>'
             },
             // Y-axis timeseries (rotated)
             {
-                x: sortedData,
-                y: sortedTime,
+                x: heatmap.rowData,
+                y: heatmap.time,
                 type: 'scatter',
                 mode: 'lines',
-                line: { color: dataColor, width: 2 },
+                line: { color: rowColor, width: 2 },
                 xaxis: 'x3',
                 yaxis: 'y3',
                 hovertemplate: 'Value: %{x:.2f}<br>Time: %{y:.1f}s<extra></extra>'
@@ -349,7 +927,7 @@ class DIMSApp {
         // Create layout with subplots
         const layout = {
             title: {
-                text: `${dataType}<br><sub>Recurrence Rate: ${(plotData.recurrence_rate * 100).toFixed(2)}%, Threshold: ${plotData.threshold.toFixed(4)}</sub>`,
+                text: `${label}<br><sub>Recurrence Rate: ${(plotData.recurrence_rate * 100).toFixed(2)}%, Threshold: ${plotData.threshold.toFixed(4)}${this.formatRQAMeasureSummary(plotData.measures)}</sub>`,
                 font: { color: 'white', size: 16 }
             },
             paper_bgcolor: '#222',
@@ -364,13 +942,13 @@ class DIMSApp {
             xaxis: {
                 domain: [0.15, 0.95],
                 anchor: 'y',
-                title: 'Time (s)',
+                title: plotData.cross ? `${columnLabel} time (s)` : 'Time (s)',
                 gridcolor: '#444'
             },
             yaxis: {
                 domain: [0, 0.8],
                 anchor: 'x',
-                title: 'Time (s)',
+                title: plotData.cross ? `${rowLabel} time (s)` : 'Time (s)',
                 gridcolor: '#444'
             },
             xaxis2: {
@@ -399,118 +977,467 @@ class DIMSApp {
                 showticklabels: false,
                 gridcolor: '#444'
             },
-            margin: { t: 80, r: 50, b: 80, l: 80 },
+            margin: { t: 110, r: 50, b: 80, l: 80 },
             hovermode: 'closest'
         };
         
-        // Add highlight shape if there's a selected time
-        if (this.lastClickedPoint !== null) {
-            const windowSize = parseInt(document.getElementById('windowSize').value) || 5;
-            const startTime = Math.max(sortedTime[0], this.lastClickedPoint - windowSize / 2);
-            const endTime = Math.min(sortedTime[sortedTime.length - 1], this.lastClickedPoint + windowSize / 2);
-            
-            layout.shapes = [
-                // Vertical lines on main plot
-                {
-                    type: 'line',
-                    x0: startTime, x1: startTime,
-                    y0: sortedTime[0], y1: sortedTime[sortedTime.length - 1],
-                    line: { color: 'yellow', width: 2 },
-                    xref: 'x', yref: 'y'
-                },
-                {
-                    type: 'line',
-                    x0: endTime, x1: endTime,
-                    y0: sortedTime[0], y1: sortedTime[sortedTime.length - 1],
-                    line: { color: 'yellow', width: 2 },
-                    xref: 'x', yref: 'y'
-                },
-                // Horizontal lines on main plot
-                {
-                    type: 'line',
-                    x0: sortedTime[0], x1: sortedTime[sortedTime.length - 1],
-                    y0: startTime, y1: startTime,
-                    line: { color: 'yellow', width: 2 },
-                    xref: 'x', yref: 'y'
-                },
-                {
-                    type: 'line',
-                    x0: sortedTime[0], x1: sortedTime[sortedTime.length - 1],
-                    y0: endTime, y1: endTime,
-                    line: { color: 'yellow', width: 2 },
-                    xref: 'x', yref: 'y'
-                },
-                // Highlight box
-                {
-                    type: 'rect',
-                    x0: startTime, x1: endTime,
-                    y0: startTime, y1: endTime,
-                    fillcolor: 'yellow',
-                    opacity: 0.1,
-                    line: { width: 0 },
-                    xref: 'x', yref: 'y'
-                }
-            ];
-        }
+        // Playhead and highlight shapes (always present, toggled via visibility)
+        const timeRange = [heatmap.time[0], heatmap.time[heatmap.time.length - 1]];
+        this.rqaTimeRanges[containerId] = timeRange;
+        layout.shapes = this.buildRQAShapes(timeRange, this.lastClickedPoint);
         
-        console.log(`Calling Plotly.newPlot for ${containerId}`);
-        Plotly.newPlot(containerId, traces, layout, { responsive: true });
+        Plotly.react(containerId, traces, layout, { responsive: true });
         
-        // Add click handler
-        document.getElementById(containerId).on('plotly_click', (data) => {
-            if (data.points && data.points.length > 0) {
+        this.bindPlotEvents(container, {
+            plotly_click: (data) => {
+                if (!data.points || data.points.length === 0) return;
                 const point = data.points[0];
                 
-                // Check which subplot was clicked
+                // Only the main recurrence plot selects a time; handleTimeClick updates every RQA figure
                 if (point.xaxis && point.xaxis._id === 'x' && point.yaxis._id === 'y') {
-                    // Main RQA plot clicked
-                    const clickedTime = point.x;
-                    console.log(`RQA clicked at time: ${clickedTime.toFixed(2)}s`);
-                    
-                    // Update video and timeseries
-                    this.handleTimeClick(clickedTime);
-                    
-                    // Update all RQA plots to show highlight
-                    setTimeout(() => this.updateRQAHighlights(), 100);
-                    
-                    // Don't switch tabs - stay on RQA
-                    // this.switchTab('timeseries');
+                    this.handleTimeClick(point.x);
                 }
             }
         });
     }
 
-    updateRQAHighlights() {
-        // Re-render all RQA plots with updated highlights
-        if (this.rqaData && this.rqaData.rqa_data) {
-            Object.entries(this.rqaData.rqa_data).forEach(([dataType, plotData], index) => {
-                const containerId = `rqa-plot-${index}`;
-                if (document.getElementById(containerId)) {
-                    this.createRQAPlot(containerId, dataType, plotData);
-                }
-            });
-        }
+    // Sorted marginals and dense heatmap rows, built once per result and reused on every redraw
+    getRQAHeatmap(plotData) {
+        if (plotData._heatmap) return plotData._heatmap;
+        
+        const vis = plotData.visualization;
+        
+        // Sort time and data arrays together to prevent wrapping
+        const columnValues = vis.data_b || vis.data;
+        const timeDataPairs = vis.time.map((t, i) => ({ time: t, data: vis.data[i], columnData: columnValues[i] }));
+        timeDataPairs.sort((a, b) => a.time - b.time);
+        
+        // Convert sparse matrix to dense for heatmap
+        const z = new Array(vis.matrix_size).fill(null).map(() => 
+            new Array(vis.matrix_size).fill(0)
+        );
+        vis.sparse_matrix.forEach(([row, col]) => {
+            if (row < vis.matrix_size && col < vis.matrix_size) {
+                z[row][col] = 1;
+            }
+        });
+        
+        plotData._heatmap = {
+            time: timeDataPairs.map(pair => pair.time),
+            rowData: timeDataPairs.map(pair => pair.data),
+            columnData: timeDataPairs.map(pair => pair.columnData),
+            z: z
+        };
+        return plotData._heatmap;
     }
 
-    setupHeader() {
-        try {
-            const titleEl = document.getElementById('title');
-            const subtitleEl = document.getElementById('subtitle');
-            const authorsEl = document.getElementById('authors');
-            const contactsEl = document.getElementById('contacts');
-            
-            if (titleEl) titleEl.textContent = this.config.title || 'DIMS Dashboard';
-            if (subtitleEl) subtitleEl.textContent = this.config.subtitle || '';
-            if (authorsEl) authorsEl.textContent = this.config.authors || '';
-            if (contactsEl) contactsEl.textContent = this.config.contacts || '';
-        } catch (error) {
-            console.error('Error setting up header:', error);
-        }
+    // Plotly keeps listeners across Plotly.react, so each figure element is bound only once
+    bindPlotEvents(container, handlers) {
+        if (this.boundPlots.has(container)) return;
+        this.boundPlots.add(container);
+        Object.entries(handlers).forEach(([eventName, handler]) => container.on(eventName, handler));
     }
 
-    setupControls() {
-        try {
-            // Populate video selector
+    // `layers` can switch off the playhead or the annotations (figure export)
+    buildRQAShapes(timeRange, selectedTime, layers = {}) {
+        const shapes = this.buildRQAMarkerShapes(timeRange, selectedTime, layers.playhead);
+        
+        // Annotated intervals as boxes on the diagonal and spans on the top marginal
+        if (this.annotationStore && layers.annotations !== false) {
+            const categories = this.annotationStore.categories();
+            this.annotationStore.list().forEach(annotation => {
+                const color = window.AnnotationStore.categoryColor(annotation.category, categories);
+                shapes.push({
+                    type: 'rect',
+                    x0: annotation.start, x1: annotation.end,
+                    y0: annotation.start, y1: annotation.end,
+                    fillcolor: color,
+                    opacity: 0.35,
+                    line: { color: color, width: 1 },
+                    xref: 'x', yref: 'y'
+                }, {
+                    type: 'rect',
+                    x0: annotation.start, x1: annotation.end,
+                    y0: 0, y1: 1,
+                    fillcolor: color,
+                    opacity: 0.25,
+                    line: { width: 0 },
+                    xref: 'x2', yref: 'y2 domain',
+                    layer: 'below'
+                });
+            });
+        }
+        
+        return shapes;
+    }
+
+    // Playhead and selection shapes; always present (toggled via visibility) so their indices stay fixed
+    buildRQAMarkerShapes(timeRange, selectedTime, showPlayhead = this.playheadTime !== null) {
+        const [minTime, maxTime] = timeRange;
+        const playheadTime = this.playheadTime !== null ? this.playheadTime : minTime;
+        
+        let startTime = minTime;
+        let endTime = minTime;
+        if (selectedTime !== null) {
+            const bounds = this.getWindowBounds(selectedTime);
+            startTime = Math.max(minTime, bounds.startTime);
+            endTime = Math.min(maxTime, bounds.endTime);
+        }
+        const showHighlight = selectedTime !== null;
+        
+        const playheadLine = { color: '#ff4d4d', width: 1 };
+        const highlightLine = { color: 'yellow', width: 2 };
+        
+        // Playhead shapes first so their indices stay fixed for relayout updates
+        return [
+            // Crosshair through the diagonal point (t, t) on main plot
+            {
+                type: 'line',
+                x0: playheadTime, x1: playheadTime,
+                y0: minTime, y1: maxTime,
+                line: playheadLine,
+                xref: 'x', yref: 'y',
+                visible: showPlayhead
+            },
+            {
+                type: 'line',
+                x0: minTime, x1: maxTime,
+                y0: playheadTime, y1: playheadTime,
+                line: playheadLine,
+                xref: 'x', yref: 'y',
+                visible: showPlayhead
+            },
+            // Playhead on the marginal timeseries
+            {
+                type: 'line',
+                x0: playheadTime, x1: playheadTime,
+                y0: 0, y1: 1,
+                line: { color: '#ff4d4d', width: 2 },
+                xref: 'x2', yref: 'y2 domain',
+                visible: showPlayhead
+            },
+            {
+                type: 'line',
+                x0: 0, x1: 1,
+                y0: playheadTime, y1: playheadTime,
+                line: { color: '#ff4d4d', width: 2 },
+                xref: 'x3 domain', yref: 'y3',
+                visible: showPlayhead
+            },
+            // Vertical lines on main plot
+            {
+                type: 'line',
+                x0: startTime, x1: startTime,
+                y0: minTime, y1: maxTime,
+                line: highlightLine,
+                xref: 'x', yref: 'y',
+                visible: showHighlight
+            },
+            {
+                type: 'line',
+                x0: endTime, x1: endTime,
+                y0: minTime, y1: maxTime,
+                line: highlightLine,
+                xref: 'x', yref: 'y',
+                visible: showHighlight
+            },
+            // Horizontal lines on main plot
+            {
+                type: 'line',
+                x0: minTime, x1: maxTime,
+                y0: startTime, y1: startTime,
+                line: highlightLine,
+                xref: 'x', yref: 'y',
+                visible: showHighlight
+            },
+            {
+                type: 'line',
+                x0: minTime, x1: maxTime,
+                y0: endTime, y1: endTime,
+                line: highlightLine,
+                xref: 'x', yref: 'y',
+                visible: showHighlight
+            },
+            // Highlight box
+            {
+                type: 'rect',
+                x0: startTime, x1: endTime,
+                y0: startTime, y1: endTime,
+                fillcolor: 'yellow',
+                opacity: 0.1,
+                line: { width: 0 },
+                xref: 'x', yref: 'y',
+                visible: showHighlight
+            }
+        ];
+    }
+
+    formatRQAMeasureSummary(measures) {
+        if (!measures) return '';
+        const percent = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+        const number = (value) => window.DIMSStats.formatNumber(value === null ? NaN : value, 2);
+        return `<br>DET: ${percent(measures.determinism)}, LAM: ${percent(measures.laminarity)}, ` +
+            `L: ${number(measures.mean_line_length)}, ENTR: ${number(measures.entropy)}, TT: ${number(measures.trapping_time)}`;
+    }
+
+    plotRQAWindowed() {
+        const container = document.getElementById('rqaWindowedPlot');
+        if (!container || !this.rqaData) return;
+        
+        const measureNames = Object.keys(window.RQAEngine.measureLabels);
+        const seriesList = this.getSeriesList();
+        const traces = [];
+        
+        Object.entries(this.rqaData.rqa_data).forEach(([key, plotData]) => {
+            if (!plotData.windowed) return;
+            const series = seriesList.find(entry => entry.key === key);
+            measureNames.forEach((name, i) => {
+                traces.push({
+                    x: plotData.windowed.time,
+                    y: plotData.windowed[name],
+                    type: 'scatter',
+                    mode: 'lines',
+                    name: series ? series.label : key,
+                    legendgroup: key,
+                    showlegend: i === 0,
+                    yaxis: `y${i + 1}`,
+                    line: { color: series ? series.color : 'white' },
+                    hovertemplate: `${window.RQAEngine.measureLabels[name]}: %{y:.3f}<br>Window centre: %{x:.1f}s<extra>%{fullData.name}</extra>`
+                });
+            });
+        });
+        
+        const firstWindowed = Object.values(this.rqaData.rqa_data).find(plotData => plotData.windowed);
+        const layout = {
+            title: {
+                text: `Windowed RQA (${firstWindowed.windowed.window_seconds}s windows)`,
+                font: { color: 'white', size: 16 }
+            },
+            paper_bgcolor: '#222',
+            plot_bgcolor: '#333',
+            font: { color: 'white' },
+            xaxis: { title: 'Time (s)', gridcolor: '#444' },
+            height: 120 * measureNames.length + 120,
+            margin: { t: 60, r: 50, b: 60, l: 60 },
+            legend: { orientation: 'h', y: -0.06 }
+        };
+        measureNames.forEach((name, i) => {
+            layout[i === 0 ? 'yaxis' : `yaxis${i + 1}`] = {
+                title: window.RQAEngine.measureLabels[name],
+                gridcolor: '#444',
+                domain: [1 - (i + 1) / measureNames.length + 0.015, 1 - i / measureNames.length - 0.015]
+            };
+        });
+        
+        this.timeAlignedPlots.rqaWindowedPlot = measureNames.length;
+        layout.shapes = this.getTimeAlignedShapes('rqaWindowedPlot', this.lastClickedPoint);
+        
+        Plotly.react(container, traces, layout, { responsive: true });
+        
+        this.bindPlotEvents(container, {
+            plotly_click: (data) => {
+                if (data.points && data.points.length > 0) {
+                    this.handleTimeClick(data.points[0].x);
+                }
+            }
+        });
+    }
+
+    getRecurrenceBlock(plotData, startTime, endTime) {
+        // Prefer the full-resolution matrix from browser RQA; fall back to the
+        // (downsampled) visualization matrix of precomputed files
+        let times;
+        let n;
+        let matrix;
+        if (plotData.recurrence) {
+            ({ n, matrix } = plotData.recurrence);
+            times = plotData.recurrence.time;
+        } else {
+            const vis = plotData.visualization;
+            n = vis.matrix_size;
+            times = vis.time;
+            if (!plotData._denseMatrix) {
+                plotData._denseMatrix = new Uint8Array(n * n);
+                vis.sparse_matrix.forEach(([row, col]) => {
+                    if (row < n && col < n) plotData._denseMatrix[row * n + col] = 1;
+                });
+            }
+            matrix = plotData._denseMatrix;
+        }
+        
+        let start = -1;
+        let end = -1;
+        for (let i = 0; i < n; i++) {
+            if (times[i] >= startTime && times[i] <= endTime) {
+                if (start === -1) start = i;
+                end = i;
+            }
+        }
+        return start === -1 ? null : { matrix, n, start, size: end - start + 1 };
+    }
+
+    // RQA measures recomputed on the part of each recurrence matrix inside [startTime, endTime]
+    getRQAWindowMeasures(startTime, endTime) {
+        const entries = Object.entries(this.rqaData ? this.rqaData.rqa_data : {})
+            .map(([key, plotData]) => ({ key, label: this.getSeriesLabel(key), plotData }));
+        if (this.crqaData) {
+            entries.push({
+                key: this.crqaData.series.join('|'),
+                label: this.crqaData.series.map(key => this.getSeriesLabel(key)).join(' × '),
+                plotData: this.crqaData
+            });
+        }
+        
+        // Count lines as the plot itself did, so DET, LAM, L and TT agree with the whole-plot values
+        const formMinLine = this.getRQAParameters().minLineLength;
+        return entries.map(({ key, label, plotData }) => {
+            const block = this.getRecurrenceBlock(plotData, startTime, endTime);
+            const minLineLength = (plotData.parameters || {}).min_line_length || formMinLine;
+            return {
+                key,
+                label,
+                cross: !!plotData.cross,
+                points: block ? block.size : 0,
+                measures: block
+                    ? window.RQAEngine.computeMeasures(block.matrix, block.n, block.start, block.size, { excludeDiagonal: !plotData.cross, minLineLength })
+                    : null
+            };
+        });
+    }
+
+    updateRQAReadout() {
+        const container = document.getElementById('rqaWindowReadout');
+        if (!container || (!this.rqaData && !this.crqaData)) return;
+        
+        if (this.lastClickedPoint === null) {
+            container.innerHTML = '<div class="search-summary">Select a time point to see RQA measures for that window.</div>';
+            return;
+        }
+        
+        const { startTime, endTime } = this.getWindowBounds(this.lastClickedPoint);
+        const labels = window.RQAEngine.measureLabels;
+        
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        table.innerHTML = `<thead><tr><th>Window ${startTime.toFixed(1)}s - ${endTime.toFixed(1)}s</th><th>Points</th>` +
+            Object.values(labels).map(label => `<th>${label}</th>`).join('') + '</tr></thead>';
+        const body = document.createElement('tbody');
+        
+        this.getRQAWindowMeasures(startTime, endTime).forEach(({ label, points, measures }) => {
+            const row = document.createElement('tr');
+            const cells = [label, points]
+                .concat(Object.keys(labels).map(name => measures ? window.DIMSStats.formatNumber(measures[name] === null ? NaN : measures[name]) : '–'));
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        
+        table.appendChild(body);
+        container.innerHTML = '';
+        container.appendChild(table);
+    }
+
+    exportRQAMeasures(format) {
+        if (!this.rqaData && !this.crqaData) {
+            this.showError('Load or compute RQA before exporting measures.');
+            return;
+        }
+        
+        const entries = Object.entries(this.rqaData ? this.rqaData.rqa_data : {});
+        if (format === 'csv') {
+            // Long format: one row per series and window
+            const measureNames = Object.keys(window.RQAEngine.measureLabels);
+            const rows = [];
+            entries.forEach(([key, plotData]) => {
+                if (!plotData.windowed) return;
+                plotData.windowed.time.forEach((time, i) => {
+                    const row = { series: key, window_center: time };
+                    measureNames.forEach(name => {
+                        row[name] = plotData.windowed[name] ? plotData.windowed[name][i] : null;
+                    });
+                    rows.push(row);
+                });
+            });
+            this.downloadFile(`${this.currentVideoID}_rqa_windowed.csv`, Papa.unparse(rows), 'text/csv');
+            return;
+        }
+        
+        const summary = {
+            video_id: this.currentVideoID,
+            rqa_measures: {}
+        };
+        entries.forEach(([key, plotData]) => {
+            summary.rqa_measures[key] = {
+                data_type: plotData.data_type || key,
+                column: plotData.column,
+                threshold: plotData.threshold,
+                recurrence_rate: plotData.recurrence_rate,
+                measures: plotData.measures || null,
+                parameters: plotData.parameters || null,
+                windowed: plotData.windowed || null
+            };
+        });
+        if (this.crqaData) {
+            summary.cross_recurrence = {
+                series: this.crqaData.series,
+                threshold: this.crqaData.threshold,
+                recurrence_rate: this.crqaData.recurrence_rate,
+                measures: this.crqaData.measures,
+                profile: this.crqaData.profile,
+                parameters: this.crqaData.parameters
+            };
+        }
+        this.downloadFile(`${this.currentVideoID}_rqa_measures.json`, JSON.stringify(summary, null, 2), 'application/json');
+    }
+
+    updateRQAHighlights() {
+        // Move the selection and playhead shapes of every recurrence plot; the heatmaps stay as they are
+        this.updateRQAMarkerShapes();
+        this.updateRQAReadout();
+    }
+
+    updateRQAMarkerShapes() {
+        Object.entries(this.rqaTimeRanges).forEach(([containerId, timeRange]) => {
+            if (!document.getElementById(containerId)) return;
+            const update = {};
+            this.buildRQAMarkerShapes(timeRange, this.lastClickedPoint).forEach((shape, i) => {
+                update[`shapes[${i}]`] = shape;
+            });
+            Plotly.relayout(containerId, update);
+        });
+    }
+
+    // Full shape list, for changes beyond the markers (annotations)
+    refreshRQAShapes() {
+        Object.entries(this.rqaTimeRanges).forEach(([containerId, timeRange]) => {
+            if (document.getElementById(containerId)) {
+                Plotly.relayout(containerId, { shapes: this.buildRQAShapes(timeRange, this.lastClickedPoint) });
+            }
+        });
+    }
+
+    setupHeader() {
+        try {
+            const titleEl = document.getElementById('title');
+            const subtitleEl = document.getElementById('subtitle');
+            const authorsEl = document.getElementById('authors');
+            const contactsEl = document.getElementById('contacts');
+            
+            if (titleEl) titleEl.textContent = this.config.title || 'DIMS Dashboard';
+            if (subtitleEl) subtitleEl.textContent = this.config.subtitle || '';
+            if (authorsEl) authorsEl.textContent = this.config.authors || '';
+            if (contactsEl) contactsEl.textContent = this.config.contacts || '';
+        } catch (error) {
+            console.error('Error setting up header:', error);
+        }
+    }
+
+    setupControls() {
+        try {
+            // Populate video selector
             const videoSelect = document.getElementById('videoSelect');
             if (!videoSelect) {
                 console.error('Video select element not found');
@@ -528,14 +1455,1203 @@ class DIMSApp {
                 });
             }
 
-            // Set default window size
-            const windowSizeEl = document.getElementById('windowSize');
-            if (windowSizeEl && this.config.defaultWindowSize) {
-                windowSizeEl.value = this.config.defaultWindowSize;
-            }
+            // Column layout for multi-column CSVs
+            const columnLayoutEl = document.getElementById('columnLayout');
+            if (columnLayoutEl && this.config.columnLayout) {
+                columnLayoutEl.value = this.config.columnLayout;
+            }
+            this.columnLayout = columnLayoutEl ? columnLayoutEl.value : 'subplots';
+
+            const gapFillEl = document.getElementById('gapFill');
+            if (this.config.gaps && this.config.gaps.fill) {
+                gapFillEl.value = this.config.gaps.fill;
+            }
+            this.gapFill = gapFillEl.value;
+
+            // Set default window size
+            const windowSizeEl = document.getElementById('windowSize');
+            if (windowSizeEl && this.config.defaultWindowSize) {
+                windowSizeEl.value = this.config.defaultWindowSize;
+            }
+        } catch (error) {
+            console.error('Error setting up controls:', error);
+        }
+    }
+
+    setupTranscriptPanel() {
+        const container = document.getElementById('transcriptDisplay');
+        this.transcriptPanel = new window.TranscriptPanel(container, {
+            onSeek: (time) => this.seekTo(time)
+        });
+    }
+
+    setupAnnotationPanel() {
+        document.getElementById('annotateModeButton').addEventListener('click', () => {
+            this.setAnnotationMode(!this.annotationMode);
+        });
+        
+        document.getElementById('annotationForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveAnnotationForm();
+        });
+        
+        document.getElementById('cancelAnnotation').addEventListener('click', () => {
+            this.closeAnnotationForm();
+        });
+        
+        document.getElementById('exportAnnotationsJSON').addEventListener('click', () => {
+            if (!this.annotationStore) return;
+            this.downloadFile(`${this.currentVideoID}_annotations.json`, this.annotationStore.toJSON(), 'application/json');
+        });
+        
+        document.getElementById('exportAnnotationsCSV').addEventListener('click', () => {
+            if (!this.annotationStore) return;
+            this.downloadFile(`${this.currentVideoID}_annotations.csv`, this.annotationStore.toCSV(), 'text/csv');
+        });
+        
+        document.getElementById('importAnnotations').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file || !this.annotationStore) return;
+            
+            try {
+                const rows = window.AnnotationStore.parse(await file.text(), file.name);
+                const count = this.annotationStore.import(rows);
+                this.refreshAnnotations();
+                this.showStatus(`Imported ${count} annotation${count === 1 ? '' : 's'} from ${file.name}`);
+            } catch (error) {
+                console.error('Annotation import failed:', error);
+                this.showError(`Could not import ${file.name}: ${error.message}`);
+            }
+        });
+    }
+
+    setAnnotationMode(enabled) {
+        this.annotationMode = enabled;
+        const button = document.getElementById('annotateModeButton');
+        button.textContent = `Annotate: ${enabled ? 'on' : 'off'}`;
+        button.classList.toggle('active', enabled);
+        
+        // In annotate mode a horizontal drag selects an interval instead of zooming
+        if (this.timeseriesSubplotCount > 0) {
+            Plotly.relayout('plotContainer', { dragmode: enabled ? 'select' : 'zoom' });
+        }
+        if (enabled) {
+            this.showStatus('Annotate mode: drag across the timeseries to mark an interval.');
+        }
+    }
+
+    openAnnotationForm(annotation) {
+        document.getElementById('annotationStart').value = annotation.start.toFixed(2);
+        document.getElementById('annotationEnd').value = annotation.end.toFixed(2);
+        document.getElementById('annotationLabel').value = annotation.label || '';
+        document.getElementById('annotationCategory').value = annotation.category || '';
+        document.getElementById('annotationNote').value = annotation.note || '';
+        this.editingAnnotationId = annotation.id || null;
+        
+        const datalist = document.getElementById('annotationCategories');
+        datalist.innerHTML = '';
+        this.annotationStore.categories().forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            datalist.appendChild(option);
+        });
+        
+        document.getElementById('annotationForm').hidden = false;
+        document.getElementById('annotationLabel').focus();
+    }
+
+    closeAnnotationForm() {
+        document.getElementById('annotationForm').hidden = true;
+        this.editingAnnotationId = null;
+    }
+
+    saveAnnotationForm() {
+        if (!this.annotationStore) return;
+        
+        const fields = {
+            start: parseFloat(document.getElementById('annotationStart').value),
+            end: parseFloat(document.getElementById('annotationEnd').value),
+            label: document.getElementById('annotationLabel').value.trim(),
+            category: document.getElementById('annotationCategory').value.trim(),
+            note: document.getElementById('annotationNote').value.trim()
+        };
+        
+        if (isNaN(fields.start) || isNaN(fields.end) || fields.start === fields.end) {
+            this.showError('An annotation needs a start and end time that differ.');
+            return;
+        }
+        
+        if (this.editingAnnotationId) {
+            this.annotationStore.update(this.editingAnnotationId, fields);
+        } else {
+            this.annotationStore.add(fields);
+        }
+        
+        this.closeAnnotationForm();
+        this.refreshAnnotations();
+    }
+
+    refreshAnnotations() {
+        this.renderAnnotationList();
+        this.refreshTimeAlignedShapes();
+        if (this.currentTab === 'rqa') {
+            this.refreshRQAShapes();
+        }
+    }
+
+    renderAnnotationList() {
+        const container = document.getElementById('annotationList');
+        container.innerHTML = '';
+        const annotations = this.annotationStore ? this.annotationStore.list() : [];
+        
+        if (annotations.length === 0) {
+            container.innerHTML = '<div class="search-summary">No annotations yet. Turn on annotate mode and drag across the timeseries.</div>';
+            return;
+        }
+        
+        const categories = this.annotationStore.categories();
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        table.innerHTML = '<thead><tr><th>Start</th><th>End</th><th>Label</th><th>Category</th><th>Note</th><th></th></tr></thead>';
+        const body = document.createElement('tbody');
+        
+        annotations.forEach(annotation => {
+            const row = document.createElement('tr');
+            const cells = [
+                annotation.start.toFixed(2),
+                annotation.end.toFixed(2),
+                annotation.label,
+                annotation.category,
+                annotation.note
+            ];
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            row.children[3].style.color = window.AnnotationStore.categoryColor(annotation.category, categories);
+            
+            const actions = document.createElement('td');
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'panel-button';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openAnnotationForm(annotation);
+            });
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'panel-button';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.annotationStore.remove(annotation.id);
+                if (this.activeAnnotationId === annotation.id) {
+                    this.activeAnnotationId = null;
+                    this.syncURL(false);
+                }
+                this.refreshAnnotations();
+            });
+            actions.appendChild(editButton);
+            actions.appendChild(deleteButton);
+            row.appendChild(actions);
+            
+            row.classList.toggle('active', annotation.id === this.activeAnnotationId);
+            row.addEventListener('click', () => {
+                this.activeAnnotationId = annotation.id;
+                this.renderAnnotationList();
+                this.handleTimeClick((annotation.start + annotation.end) / 2);
+            });
+            body.appendChild(row);
+        });
+        
+        table.appendChild(body);
+        container.appendChild(table);
+    }
+
+    buildAnnotationLabels() {
+        if (!this.annotationStore) return [];
+        return this.annotationStore.list().map(annotation => ({
+            text: annotation.label,
+            x: annotation.start,
+            y: 1,
+            xref: 'x',
+            yref: 'paper',
+            xanchor: 'left',
+            yanchor: 'bottom',
+            showarrow: false,
+            font: { color: '#ccc', size: 10 }
+        }));
+    }
+
+    buildAnnotationShapes(subplotCount) {
+        if (!this.annotationStore) return [];
+        const categories = this.annotationStore.categories();
+        const shapes = [];
+        
+        this.annotationStore.list().forEach(annotation => {
+            const color = window.AnnotationStore.categoryColor(annotation.category, categories);
+            for (let i = 0; i < subplotCount; i++) {
+                shapes.push({
+                    type: 'rect',
+                    x0: annotation.start,
+                    x1: annotation.end,
+                    y0: 0,
+                    y1: 1,
+                    yref: `y${i + 1} domain`,
+                    fillcolor: color,
+                    opacity: 0.25,
+                    line: { color: color, width: 1 },
+                    layer: 'below'
+                });
+            }
+        });
+        
+        return shapes;
+    }
+
+    setupOverview() {
+        document.getElementById('overviewLoad').addEventListener('click', () => this.loadOverview());
+        document.getElementById('overviewMeasure').addEventListener('change', () => this.renderOverviewTable());
+        document.getElementById('overviewThreshold').addEventListener('change', () => this.updateOverviewThreshold());
+    }
+
+    // A measure's configured threshold, else the value typed on the tab
+    getOverviewThreshold(dataType) {
+        const configured = this.getDataTypeSettings(dataType).threshold;
+        return typeof configured === 'number'
+            ? configured
+            : parseFloat(document.getElementById('overviewThreshold').value) || 0;
+    }
+
+    // Recompute "% above threshold" from each row's profile instead of reloading every video
+    updateOverviewThreshold() {
+        if (!this.overviewRows) return;
+        this.overviewRows.forEach(row => {
+            if (!row.profile) return;
+            row.threshold = this.getOverviewThreshold(row.dataType);
+            row.aboveThreshold = window.CorpusOverview.shareAbove(row.profile, row.threshold);
+        });
+        this.renderOverviewTable();
+    }
+
+    // Summarize every configured video, one at a time so only one video's rows are in memory;
+    // each row keeps a compact value profile so threshold changes don't need the rows again
+    async loadOverview() {
+        const request = ++this.overviewRequest;
+        const videoIDs = this.config.videoIDs || [];
+        const status = document.getElementById('overviewStatus');
+        this.overviewRows = [];
+        
+        for (let i = 0; i < videoIDs.length; i++) {
+            const videoID = videoIDs[i];
+            status.textContent = `Loading ${videoID} (${i + 1}/${videoIDs.length})...`;
+            const datasets = String(videoID) === String(this.currentVideoID) && this.currentData
+                ? this.currentData
+                : await this.loadTimeseries(videoID);
+            if (request !== this.overviewRequest) return;
+            
+            this.getSeriesList(datasets).forEach(series => {
+                const times = this.getDatasetTimes(series.dataset);
+                const values = this.getColumnValues(series.dataset, series.column);
+                const threshold = this.getOverviewThreshold(series.dataType);
+                this.overviewRows.push({
+                    videoID: String(videoID),
+                    key: series.key,
+                    label: series.label,
+                    color: series.color,
+                    dataType: series.dataType,
+                    threshold: threshold,
+                    ...window.CorpusOverview.summarize(times, values, threshold),
+                    sparkline: window.CorpusOverview.sparkline(times, values),
+                    profile: window.CorpusOverview.thresholdProfile(times, values)
+                });
+            });
+            
+            // Configured files that could not be loaded count as entirely missing
+            (this.config.dataTypes[videoID] || []).forEach(dataType => {
+                if (datasets.some(dataset => dataset.name === dataType)) return;
+                this.overviewRows.push({
+                    videoID: String(videoID), key: dataType, label: dataType, color: '#888',
+                    duration: NaN, mean: NaN, sd: NaN, aboveThreshold: NaN, missing: 1, sparkline: null
+                });
+            });
+            
+            this.populateOverviewMeasures();
+            this.renderOverviewTable();
+        }
+        
+        status.textContent = `${videoIDs.length} video${videoIDs.length === 1 ? '' : 's'} summarized. Click a row to open that video.`;
+    }
+
+    populateOverviewMeasures() {
+        const select = document.getElementById('overviewMeasure');
+        const selected = select.value;
+        const measures = [...new Set(this.overviewRows.map(row => row.key))];
+        select.innerHTML = '<option value="">All measures</option>';
+        measures.forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = this.overviewRows.find(row => row.key === key).label;
+            select.appendChild(option);
+        });
+        select.value = measures.includes(selected) ? selected : '';
+    }
+
+    renderOverviewTable() {
+        const container = document.getElementById('overviewTable');
+        container.innerHTML = '';
+        if (!this.overviewRows || this.overviewRows.length === 0) return;
+        
+        const format = window.DIMSStats.formatNumber;
+        const percent = (v) => (isFinite(v) ? `${(v * 100).toFixed(1)}%` : '–');
+        const columns = [
+            { key: 'videoID', title: 'Video' },
+            { key: 'label', title: 'Measure' },
+            { key: 'duration', title: 'Duration (s)', format: v => format(v, 1) },
+            { key: 'mean', title: 'Mean', format: v => format(v) },
+            { key: 'sd', title: 'SD', format: v => format(v) },
+            { key: 'aboveThreshold', title: '% above threshold', format: percent },
+            { key: 'missing', title: 'Missing', format: percent },
+            { key: 'sparkline', title: 'Timeseries', sortable: false }
+        ];
+        
+        const measure = document.getElementById('overviewMeasure').value;
+        const { key, ascending } = this.overviewSort;
+        const rows = this.overviewRows
+            .filter(row => !measure || row.key === measure)
+            .sort((a, b) => {
+                if (typeof a[key] === 'string') {
+                    const result = a[key].localeCompare(b[key], undefined, { numeric: true });
+                    return ascending ? result : -result;
+                }
+                // Rows without a value go last whichever the direction
+                if (!isFinite(a[key]) || !isFinite(b[key])) return isFinite(a[key]) ? -1 : isFinite(b[key]) ? 1 : 0;
+                return ascending ? a[key] - b[key] : b[key] - a[key];
+            });
+        
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const headRow = document.createElement('tr');
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.title + (column.key === key ? (ascending ? ' ▲' : ' ▼') : '');
+            if (column.sortable !== false) {
+                th.style.cursor = 'pointer';
+                th.addEventListener('click', () => {
+                    this.overviewSort = { key: column.key, ascending: column.key === key ? !ascending : true };
+                    this.renderOverviewTable();
+                });
+            }
+            headRow.appendChild(th);
+        });
+        const head = document.createElement('thead');
+        head.appendChild(headRow);
+        table.appendChild(head);
+        
+        const body = document.createElement('tbody');
+        rows.forEach(overviewRow => {
+            const row = document.createElement('tr');
+            row.classList.toggle('active', overviewRow.videoID === String(this.currentVideoID));
+            columns.forEach(column => {
+                const cell = document.createElement('td');
+                if (column.key === 'sparkline') {
+                    if (overviewRow.sparkline) {
+                        cell.appendChild(window.CorpusOverview.renderSparkline(overviewRow.sparkline, overviewRow.color));
+                    }
+                } else {
+                    const value = overviewRow[column.key];
+                    cell.textContent = column.format ? column.format(value) : value;
+                }
+                row.appendChild(cell);
+            });
+            if (isFinite(overviewRow.threshold)) {
+                row.title = `Threshold ${overviewRow.threshold}`;
+            }
+            row.addEventListener('click', () => this.openVideo(overviewRow.videoID));
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        container.appendChild(table);
+    }
+
+    // Open a video in the main timeseries view
+    async openVideo(videoID) {
+        const configured = (this.config.videoIDs || []).find(id => String(id) === String(videoID));
+        if (configured === undefined) return;
+        document.getElementById('videoSelect').value = configured;
+        this.switchTab('timeseries');
+        if (String(configured) !== String(this.currentVideoID)) {
+            await this.loadVideoData(configured);
+        }
+    }
+
+    setupFigureExport() {
+        const dialog = document.getElementById('figureExportDialog');
+        document.getElementById('openFigureExport').addEventListener('click', () => this.openFigureExport());
+        document.getElementById('closeFigureExport').addEventListener('click', () => {
+            dialog.hidden = true;
+        });
+        document.getElementById('downloadFigure').addEventListener('click', () => this.downloadFigure());
+        document.getElementById('downloadReport').addEventListener('click', () => this.exportMomentReport());
+    }
+
+    // Figures that can be exported right now: the timeseries plot and every rendered RQA plot
+    getExportableFigures() {
+        const figures = [];
+        const title = (containerId, fallback) => {
+            const layout = document.getElementById(containerId).layout || {};
+            const text = layout.title && layout.title.text ? layout.title.text.split('<br>')[0] : '';
+            return text || fallback;
+        };
+        if (this.timeAlignedPlots.plotContainer > 0) {
+            figures.push({ id: 'plotContainer', title: 'Time series' });
+        }
+        if (this.timeAlignedPlots.rqaWindowedPlot && document.getElementById('rqaWindowedPlot')) {
+            figures.push({ id: 'rqaWindowedPlot', title: 'Windowed RQA measures' });
+        }
+        Object.keys(this.rqaTimeRanges).forEach(containerId => {
+            if (document.getElementById(containerId)) {
+                figures.push({ id: containerId, title: `RQA: ${title(containerId, containerId)}` });
+            }
+        });
+        const profile = document.getElementById('rqa-cross-profile');
+        if (profile && profile.data) {
+            figures.push({ id: 'rqa-cross-profile', title: 'Diagonal recurrence profile' });
+        }
+        return figures;
+    }
+
+    openFigureExport() {
+        const figures = this.getExportableFigures();
+        if (figures.length === 0) {
+            this.showError('Load a video before exporting figures.');
+            return;
+        }
+        const select = document.getElementById('exportFigureSelect');
+        const selected = select.value;
+        select.innerHTML = '';
+        figures.forEach(figure => {
+            const option = document.createElement('option');
+            option.value = figure.id;
+            option.textContent = figure.title;
+            select.appendChild(option);
+        });
+        if (figures.some(figure => figure.id === selected)) select.value = selected;
+        document.getElementById('figureExportDialog').hidden = false;
+    }
+
+    getExportOptions() {
+        return {
+            format: document.getElementById('exportFormat').value,
+            width: parseInt(document.getElementById('exportWidth').value) || 1200,
+            height: parseInt(document.getElementById('exportHeight').value) || 800,
+            scale: parseFloat(document.getElementById('exportScale').value) || 1,
+            lightTheme: document.getElementById('exportLightTheme').checked,
+            annotations: document.getElementById('exportAnnotations').checked,
+            speakerBands: document.getElementById('exportSpeakerBands').checked
+        };
+    }
+
+    // Copy of a rendered figure with the chosen layers and theme; the selected window stays, the playhead doesn't
+    getExportFigure(containerId, options) {
+        const element = document.getElementById(containerId);
+        if (!element || !element.data) return null;
+        const layout = JSON.parse(JSON.stringify(element.layout));
+        delete layout.width;
+        delete layout.height;
+        
+        const subplotCount = this.timeAlignedPlots[containerId];
+        const timeRange = this.rqaTimeRanges[containerId];
+        if (subplotCount) {
+            const shapes = this.buildMarkerShapes(subplotCount, this.lastClickedPoint, false);
+            if (options.speakerBands) shapes.push(...this.buildSpeakerBandShapes(subplotCount));
+            if (options.annotations) shapes.push(...this.buildAnnotationShapes(subplotCount));
+            if (containerId === 'plotContainer') {
+                shapes.push(...this.buildEventShapes(this.timeseriesSubplots), ...this.buildSegmentShapes(this.timeseriesSubplots));
+                layout.annotations = this.timeseriesTitles.concat(options.annotations ? this.buildAnnotationLabels() : []);
+            }
+            layout.shapes = shapes;
+        } else if (timeRange) {
+            layout.shapes = this.buildRQAShapes(timeRange, this.lastClickedPoint, { playhead: false, annotations: options.annotations });
+        }
+        
+        const figure = options.lightTheme
+            ? window.FigureExport.applyLightTheme(element.data, layout)
+            : { data: element.data, layout };
+        return { ...figure, config: { displayModeBar: false } };
+    }
+
+    downloadFigure() {
+        const containerId = document.getElementById('exportFigureSelect').value;
+        const options = this.getExportOptions();
+        const figure = this.getExportFigure(containerId, options);
+        if (!figure) {
+            this.showError('That figure is no longer on the page.');
+            return;
+        }
+        const time = this.lastClickedPoint !== null ? `_${this.lastClickedPoint.toFixed(1)}s` : '';
+        Plotly.downloadImage(figure, {
+            format: options.format,
+            width: options.width,
+            height: options.height,
+            scale: options.format === 'png' ? options.scale : 1,
+            filename: `${this.currentVideoID}_${containerId}${time}`
+        }).catch(error => this.showError(`Figure export failed: ${error.message}`));
+    }
+
+    // Static HTML page with the figures, transcript excerpt and statistics of the selected window
+    async exportMomentReport() {
+        if (this.lastClickedPoint === null) {
+            this.showError('Select a time point before creating a report.');
+            return;
+        }
+        
+        const options = this.getExportOptions();
+        const { startTime, endTime, windowSize, series } = this.getWindowStats();
+        this.showStatus('Rendering report figures...');
+        
+        const figures = [];
+        try {
+            for (const { id, title } of this.getExportableFigures()) {
+                const figure = this.getExportFigure(id, options);
+                if (!figure) continue;
+                const src = await Plotly.toImage(figure, { format: 'svg', width: options.width, height: options.height });
+                figures.push({ title, src });
+            }
+        } catch (error) {
+            this.showError(`Report export failed: ${error.message}`);
+            return;
+        }
+        
+        // Words in the window, merged into consecutive turns per speaker
+        const transcript = [];
+        window.TranscriptUtils.getWords(this.currentTranscript)
+            .filter(word => word.start < endTime && word.end > startTime)
+            .forEach(word => {
+                const last = transcript[transcript.length - 1];
+                if (last && last.speaker === word.speaker) {
+                    last.text += ` ${word.word}`;
+                } else {
+                    transcript.push({ speaker: word.speaker, start: word.start, text: word.word });
+                }
+            });
+        
+        const title = this.config.title || 'DIMS Dashboard';
+        const html = window.FigureExport.buildReport({
+            title: `${title}: video ${this.currentVideoID}, ${startTime.toFixed(2)}s - ${endTime.toFixed(2)}s`,
+            heading: `Window of ${windowSize}s centred on ${this.lastClickedPoint.toFixed(2)}s`,
+            link: `${location.origin}${location.pathname}${window.URLState.format(this.getViewState())}`,
+            figures,
+            transcript,
+            stats: series.map(entry => ({ label: entry.label, ...this.formatWindowStats(entry, windowSize) })),
+            generated: new Date().toLocaleString()
+        });
+        this.downloadFile(`${this.currentVideoID}_${this.lastClickedPoint.toFixed(1)}s_report.html`, html, 'text/html');
+        this.showStatus(`Report created with ${figures.length} figure${figures.length === 1 ? '' : 's'}`);
+    }
+
+    setupComparison() {
+        document.getElementById('compareMode').addEventListener('change', (e) => this.setCompareMode(e.target.checked));
+        document.getElementById('compareLinked').addEventListener('change', () => this.renderComparisonSummary());
+    }
+
+    setCompareMode(enabled) {
+        document.querySelector('.main-content').hidden = enabled;
+        document.getElementById('compareContainer').hidden = !enabled;
+        if (!enabled) return;
+        
+        document.querySelectorAll('.video-container video, .video-container audio').forEach(media => media.pause());
+        
+        // First use: A shows the current selection, B the end of the same session (early vs. late)
+        if (!this.comparePanes && this.currentVideoID !== null) {
+            const onSelect = (pane, previousTime, fromUser) => this.handleComparisonSelect(pane, previousTime, fromUser);
+            this.comparePanes = [
+                new window.ComparisonPane(document.getElementById('comparePaneA'), this, { label: 'A', onSelect }),
+                new window.ComparisonPane(document.getElementById('comparePaneB'), this, { label: 'B', onSelect })
+            ];
+            this.comparePanes[0].load(this.currentVideoID, this.lastClickedPoint);
+            this.comparePanes[1].load(this.currentVideoID, Infinity);
+        }
+    }
+
+    handleComparisonSelect(pane, previousTime, fromUser) {
+        // Linked scrubbing moves the other pane by the same amount, keeping the offset between them
+        const other = this.comparePanes.find(p => p !== pane);
+        const linked = document.getElementById('compareLinked').checked;
+        if (linked && fromUser && previousTime !== null && other.selectedTime !== null) {
+            other.select(other.selectedTime + (pane.selectedTime - previousTime), false);
+        }
+        this.renderComparisonSummary();
+    }
+
+    // Difference in window means (B - A) for every series present in both panes
+    renderComparisonSummary() {
+        const container = document.getElementById('compareSummary');
+        if (!this.comparePanes) return;
+        container.innerHTML = '';
+        
+        const [paneA, paneB] = this.comparePanes;
+        const boundsA = paneA.getWindowBounds();
+        const boundsB = paneB.getWindowBounds();
+        if (!boundsA || !boundsB) {
+            container.innerHTML = '<div class="search-summary">Select a window in both panes to compare them.</div>';
+            return;
+        }
+        
+        const meansA = paneA.getWindowMeans();
+        const meansB = paneB.getWindowMeans();
+        const format = window.DIMSStats.formatNumber;
+        const keys = Object.keys(meansA).filter(key => meansB[key]);
+        if (keys.length === 0) {
+            container.innerHTML = '<div class="search-summary">The two videos have no data types in common.</div>';
+            return;
+        }
+        
+        const heading = document.createElement('div');
+        heading.className = 'search-summary';
+        heading.textContent = 'Mean in each window (Δ = B − A)';
+        container.appendChild(heading);
+        
+        keys.forEach(key => {
+            const a = meansA[key].mean;
+            const b = meansB[key].mean;
+            const delta = b - a;
+            const item = document.createElement('div');
+            item.className = 'compare-summary-item';
+            item.title = `A: ${paneA.videoID} ${boundsA.startTime.toFixed(1)}-${boundsA.endTime.toFixed(1)}s (${meansA[key].count} samples)\n` +
+                `B: ${paneB.videoID} ${boundsB.startTime.toFixed(1)}-${boundsB.endTime.toFixed(1)}s (${meansB[key].count} samples)`;
+            
+            const label = document.createElement('div');
+            label.textContent = meansA[key].label;
+            const values = document.createElement('div');
+            values.className = 'search-summary';
+            values.textContent = `A ${format(a)} · B ${format(b)}`;
+            const deltaEl = document.createElement('div');
+            deltaEl.className = `delta ${delta > 0 ? 'positive' : delta < 0 ? 'negative' : ''}`;
+            deltaEl.textContent = isFinite(delta) ? `Δ ${delta > 0 ? '+' : ''}${format(delta)}` : 'Δ –';
+            
+            item.appendChild(label);
+            item.appendChild(values);
+            item.appendChild(deltaEl);
+            container.appendChild(item);
+        });
+    }
+
+    // Reuse the loaded data when a pane shows the video that is open in the main view
+    async getVideoData(videoID) {
+        if (String(videoID) === String(this.currentVideoID) && this.currentData) {
+            return { timeseries: this.currentData, transcript: this.currentTranscript };
+        }
+        return this.loadDataForVideoID(videoID);
+    }
+
+    setupEventPanel() {
+        document.getElementById('findEvents').addEventListener('click', () => this.findEvents());
+        document.getElementById('clearEvents').addEventListener('click', () => {
+            this.detectedEvents = [];
+            this.renderEventTable();
+            if (this.currentData) {
+                this.plotTimeseries(this.currentData, this.lastClickedPoint);
+            }
+        });
+    }
+
+    populateEventSeries() {
+        const select = document.getElementById('eventSeries');
+        select.innerHTML = '<option value="">All series</option>';
+        this.getSeriesList().forEach(series => {
+            const option = document.createElement('option');
+            option.value = series.key;
+            option.textContent = series.label;
+            select.appendChild(option);
+        });
+    }
+
+    findEvents() {
+        if (!this.currentData) return;
+        
+        const options = {
+            method: document.getElementById('eventMethod').value,
+            threshold: parseFloat(document.getElementById('eventThreshold').value),
+            useZScore: document.getElementById('eventUseZScore').checked,
+            minDuration: parseFloat(document.getElementById('eventMinDuration').value) || 0
+        };
+        if (isNaN(options.threshold)) {
+            this.showError('Enter a numeric threshold to search for events.');
+            return;
+        }
+        
+        const selectedKey = document.getElementById('eventSeries').value;
+        const events = [];
+        this.getSeriesList()
+            .filter(series => !selectedKey || series.key === selectedKey)
+            .forEach(series => {
+                const { times, values } = window.DIMSStats.extractSeries(series.dataset.data, series.column);
+                window.EventFinder.find(times, values, options).forEach(event => {
+                    events.push({ ...event, seriesKey: series.key, seriesLabel: series.label });
+                });
+            });
+        
+        this.detectedEvents = events;
+        this.renderEventTable();
+        this.plotTimeseries(this.currentData, this.lastClickedPoint);
+        this.showStatus(`Found ${events.length} event${events.length === 1 ? '' : 's'}.`);
+    }
+
+    renderEventTable() {
+        const container = document.getElementById('eventList');
+        container.innerHTML = '';
+        if (this.detectedEvents.length === 0) return;
+        
+        const columns = [
+            { key: 'seriesLabel', title: 'Series' },
+            { key: 'type', title: 'Type' },
+            { key: 'time', title: 'Time (s)', format: v => v.toFixed(2) },
+            { key: 'duration', title: 'Duration (s)', format: v => v.toFixed(2) },
+            { key: 'value', title: 'Value', format: v => window.DIMSStats.formatNumber(v) },
+            { key: 'score', title: 'Score', format: v => window.DIMSStats.formatNumber(v) }
+        ];
+        
+        const { key, ascending } = this.eventSort;
+        const rows = this.detectedEvents
+            .map(event => ({ ...event, duration: event.end - event.start }))
+            .sort((a, b) => {
+                const result = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+                return ascending ? result : -result;
+            });
+        
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const headRow = document.createElement('tr');
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.title + (column.key === key ? (ascending ? ' ▲' : ' ▼') : '');
+            th.style.cursor = 'pointer';
+            th.addEventListener('click', () => {
+                this.eventSort = { key: column.key, ascending: column.key === key ? !ascending : true };
+                this.renderEventTable();
+            });
+            headRow.appendChild(th);
+        });
+        const head = document.createElement('thead');
+        head.appendChild(headRow);
+        table.appendChild(head);
+        
+        // Very noisy series can produce thousands of events; keep the table responsive
+        const maxRows = 500;
+        const body = document.createElement('tbody');
+        rows.slice(0, maxRows).forEach(event => {
+            const row = document.createElement('tr');
+            columns.forEach(column => {
+                const cell = document.createElement('td');
+                const value = event[column.key];
+                cell.textContent = column.format ? column.format(value) : value;
+                row.appendChild(cell);
+            });
+            row.addEventListener('click', () => this.handleTimeClick(event.time));
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        container.appendChild(table);
+        
+        if (rows.length > maxRows) {
+            const note = document.createElement('div');
+            note.className = 'search-summary';
+            note.textContent = `Showing ${maxRows} of ${rows.length} events. Raise the threshold to narrow the list.`;
+            container.appendChild(note);
+        }
+    }
+
+    buildEventTraces(subplots) {
+        const traces = [];
+        subplots.forEach((subplot, i) => {
+            subplot.series.forEach(series => {
+                const events = this.detectedEvents.filter(event => event.seriesKey === series.key);
+                if (events.length === 0) return;
+                traces.push({
+                    x: events.map(event => event.time),
+                    y: events.map(event => event.value),
+                    type: 'scatter',
+                    mode: 'markers',
+                    name: `${series.label} events`,
+                    yaxis: `y${i + 1}`,
+                    marker: { symbol: 'triangle-down', size: 9, color: series.color, line: { color: 'white', width: 1 } },
+                    text: events.map(event => event.type),
+                    hovertemplate: '%{text} at %{x:.2f}s<br>Value: %{y:.3f}<extra></extra>',
+                    showlegend: false
+                });
+            });
+        });
+        return traces;
+    }
+
+    buildEventShapes(subplots) {
+        // Shade the extent of sustained runs in the subplot of their series
+        const shapes = [];
+        subplots.forEach((subplot, i) => {
+            const keys = subplot.series.map(series => series.key);
+            this.detectedEvents
+                .filter(event => keys.includes(event.seriesKey) && event.end > event.start)
+                .forEach(event => {
+                    shapes.push({
+                        type: 'rect',
+                        x0: event.start,
+                        x1: event.end,
+                        y0: 0,
+                        y1: 1,
+                        yref: `y${i + 1} domain`,
+                        fillcolor: '#ffd43b',
+                        opacity: 0.15,
+                        line: { width: 0 },
+                        layer: 'below'
+                    });
+                });
+        });
+        return shapes;
+    }
+
+    // Recordings concatenated in one file: a dashed line where each later segment starts
+    getSubplotSegments(subplots) {
+        return subplots.map(subplot => {
+            const datasets = [...new Set(subplot.series.map(series => series.dataset))];
+            return datasets.flatMap(dataset => (dataset.segments || []).length > 1 ? dataset.segments : []);
+        });
+    }
+
+    buildSegmentShapes(subplots) {
+        const shapes = [];
+        this.getSubplotSegments(subplots).forEach((segments, i) => {
+            segments.slice(1).forEach(segment => {
+                shapes.push({
+                    type: 'line',
+                    x0: segment.start,
+                    x1: segment.start,
+                    y0: 0,
+                    y1: 1,
+                    yref: `y${i + 1} domain`,
+                    line: { color: '#adb5bd', width: 1, dash: 'dash' }
+                });
+            });
+        });
+        return shapes;
+    }
+
+    buildSegmentLabels(subplots) {
+        const labels = [];
+        this.getSubplotSegments(subplots).forEach((segments, i) => {
+            segments.forEach(segment => {
+                labels.push({
+                    text: segment.label,
+                    x: segment.start,
+                    y: 0,
+                    xref: 'x',
+                    yref: `y${i + 1} domain`,
+                    xanchor: 'left',
+                    yanchor: 'bottom',
+                    showarrow: false,
+                    font: { color: '#adb5bd', size: 10 }
+                });
+            });
+        });
+        return labels;
+    }
+
+    // Samples, rate, gaps and missing values of every loaded dataset
+    renderDataQuality() {
+        const container = document.getElementById('qualityTable');
+        container.innerHTML = '';
+        if (!this.currentData || this.currentData.length === 0) return;
+        
+        const percent = value => isFinite(value) ? `${(value * 100).toFixed(1)}%` : '–';
+        const table = document.createElement('table');
+        table.className = 'data-table quality-table';
+        table.innerHTML = '<thead><tr><th>Dataset</th><th>Column</th><th>Samples</th><th>Rate (Hz)</th><th>Missing values</th><th>Gaps</th><th>Gap time</th><th>Segments</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        
+        this.currentData.forEach(dataset => {
+            if (!dataset._quality) {
+                const columns = {};
+                (dataset.columns || []).forEach(column => {
+                    columns[column] = this.getColumnValues(dataset, column);
+                });
+                const factor = (this.config.gaps || {}).factor;
+                dataset._quality = window.DataQuality.summarize(this.getDatasetTimes(dataset), columns, factor);
+            }
+            const quality = dataset._quality;
+            const segments = dataset.segments || [];
+            const segmentList = segments.map(segment => {
+                const moved = segment.shift ? ` (moved ${segment.shift > 0 ? '+' : ''}${segment.shift.toFixed(2)} s)` : '';
+                return `${segment.label}: ${segment.start.toFixed(1)}–${segment.end.toFixed(1)} s${moved}`;
+            }).join('\n');
+            
+            (dataset.columns || []).forEach(column => {
+                const row = document.createElement('tr');
+                const cells = [
+                    dataset.name,
+                    column,
+                    quality.samples,
+                    isFinite(quality.rate) ? Number(quality.rate.toPrecision(3)) : '–',
+                    percent(quality.missing[column]),
+                    quality.gaps,
+                    `${quality.gapTime.toFixed(1)} s (${percent(quality.gapShare)})`,
+                    segments.length
+                ];
+                cells.forEach((value, i) => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    if (i === 7) cell.title = segmentList;
+                    row.appendChild(cell);
+                });
+                if (quality.missing[column] > 0.05 || quality.gapShare > 0.05) row.classList.add('quality-warning');
+                tbody.appendChild(row);
+            });
+        });
+        
+        table.appendChild(tbody);
+        container.appendChild(table);
+    }
+
+    setupAlignmentPanel() {
+        document.getElementById('alignModeButton').addEventListener('click', () => {
+            this.setAlignMode(!this.alignMode);
+        });
+        
+        // Slider drags fire many input events; re-plot at most every 150 ms, and drop
+        // events and RQA only once the drag ends (change), not on every step
+        const preview = _.throttle((transcriptMoved) => this.refreshAlignedViews(transcriptMoved), 150);
+        let datasetMoved = false;
+        document.getElementById('alignmentRows').addEventListener('input', (e) => {
+            const row = e.target.closest('.alignment-row');
+            const offset = parseFloat(e.target.value);
+            if (!row || !isFinite(offset)) return;
+            row.querySelectorAll('input').forEach(input => {
+                if (input !== e.target) input.value = offset;
+            });
+            if (this.setStreamOffset(row.dataset.stream, offset)) {
+                if (row.dataset.stream !== 'transcript') datasetMoved = true;
+                preview(row.dataset.stream === 'transcript');
+            }
+        });
+        document.getElementById('alignmentRows').addEventListener('change', () => {
+            preview.flush();
+            if (datasetMoved) this.invalidateAlignedResults();
+            datasetMoved = false;
+        });
+        
+        document.getElementById('suggestOffset').addEventListener('click', () => this.suggestOffset());
+        document.getElementById('alignSuggestion').addEventListener('click', (e) => {
+            if (!e.target.closest('button') || !this.alignSuggestion) return;
+            const { stream, offset } = this.alignSuggestion;
+            this.alignSuggestion = null;
+            if (this.setStreamOffset(stream, offset)) {
+                this.refreshAlignedViews(false);
+                this.invalidateAlignedResults();
+            }
+            this.renderAlignmentRows();
+            this.renderAlignmentSuggestion();
+        });
+        
+        document.getElementById('downloadAlignedConfig').addEventListener('click', () => {
+            this.downloadFile('config.json', JSON.stringify(this.config, null, 4), 'application/json');
+            this.showStatus('Replace config.json with the downloaded file to keep these offsets.');
+        });
+    }
+
+    setAlignMode(enabled) {
+        this.alignMode = enabled;
+        const button = document.getElementById('alignModeButton');
+        button.textContent = `Align: ${enabled ? 'on' : 'off'}`;
+        button.classList.toggle('active', enabled);
+        document.getElementById('alignmentBody').hidden = !enabled;
+        if (enabled) {
+            this.showStatus('Align mode: shift a stream until it lines up with the video.');
+        }
+    }
+
+    // One slider + number row per dataset and the transcript
+    renderAlignmentRows() {
+        const rows = document.getElementById('alignmentRows');
+        rows.innerHTML = '';
+        const streams = (this.currentData || []).map((dataset, i) => ({ key: String(i), label: dataset.name, offset: dataset.offset }));
+        if (this.currentTranscript) {
+            streams.push({ key: 'transcript', label: 'Transcript', offset: this.currentTranscript.offset || 0 });
+        }
+        
+        const range = window.StreamAlignment.dragRange;
+        streams.forEach(stream => {
+            const row = document.createElement('div');
+            row.className = 'alignment-row';
+            row.dataset.stream = stream.key;
+            const label = document.createElement('span');
+            label.textContent = stream.label;
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = Math.min(-range, Math.floor(stream.offset));
+            slider.max = Math.max(range, Math.ceil(stream.offset));
+            slider.step = 0.01;
+            slider.value = stream.offset;
+            const number = document.createElement('input');
+            number.type = 'number';
+            number.step = 0.01;
+            number.value = stream.offset;
+            number.style.width = '80px';
+            row.append(label, slider, number, ' s');
+            rows.appendChild(row);
+        });
+    }
+
+    populateAlignmentSeries() {
+        const series = this.getSeriesList();
+        ['alignReference', 'alignTarget'].forEach(id => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+            series.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.key;
+                option.textContent = entry.label;
+                select.appendChild(option);
+            });
+        });
+        // Default to the first series of the second dataset
+        const other = series.find(entry => entry.dataset !== series[0].dataset);
+        if (other) document.getElementById('alignTarget').value = other.key;
+    }
+
+    // Set the offset (seconds added to the file's times) of a dataset index or 'transcript'.
+    // It is also written to the config, so the next video loads with it and "Download config.json" saves it.
+    setStreamOffset(stream, offset) {
+        const alignment = window.StreamAlignment;
+        if (stream === 'transcript') {
+            const transcript = this.currentTranscript;
+            if (!transcript || offset === transcript.offset) return false;
+            alignment.shiftTranscript(transcript, offset - (transcript.offset || 0));
+            transcript.offset = offset;
+            this.config.transcripts = { ...(this.config.transcripts || {}), offset };
+            return true;
+        }
+        
+        const dataset = (this.currentData || [])[stream];
+        if (!dataset || offset === dataset.offset) return false;
+        alignment.shiftRows(dataset.data, offset - dataset.offset);
+        (dataset.segments || []).forEach(segment => {
+            segment.start += offset - dataset.offset;
+            segment.end += offset - dataset.offset;
+        });
+        dataset.offset = offset;
+        delete dataset._times;
+        delete dataset._display;
+        delete dataset._quality;
+        delete dataset._sessionStats;
+        delete dataset._rollingMeans;
+        const settings = this.config.dataTypeSettings = this.config.dataTypeSettings || {};
+        settings[dataset.name] = { ...(settings[dataset.name] || {}), offset };
+        return true;
+    }
+
+    refreshAlignedViews(transcriptMoved) {
+        if (transcriptMoved) {
+            this.transcriptWords = window.TranscriptUtils.getWords(this.currentTranscript);
+            this.speakerBands = window.TranscriptUtils.computeSpeakerBands(this.currentTranscript);
+            if (this.transcriptPanel) this.transcriptPanel.setTranscript(this.currentTranscript);
+            if (document.getElementById('transcriptSearchInput').value.trim()) this.runTranscriptSearch();
+        }
+        
+        this.plotTimeseries(this.currentData, this.lastClickedPoint);
+        if (this.lastClickedPoint !== null) {
+            this.updateTranscript(this.lastClickedPoint, this.getWindowSize());
+            this.renderWindowStats();
+        }
+    }
+
+    // Events and RQA computed on the old times no longer line up
+    invalidateAlignedResults() {
+        if (this.detectedEvents.length > 0) {
+            this.detectedEvents = [];
+            this.renderEventTable();
+            this.refreshTimeAlignedShapes();
+        }
+        this.resetRQAResults();
+        if (this.currentTab === 'rqa') this.loadRQAData(this.currentVideoID);
+    }
+
+    suggestOffset() {
+        const series = this.getSeriesList();
+        const reference = series.find(entry => entry.key === document.getElementById('alignReference').value);
+        const target = series.find(entry => entry.key === document.getElementById('alignTarget').value);
+        const maxLag = parseFloat(document.getElementById('alignMaxLag').value);
+        if (!reference || !target) return;
+        if (reference.dataset === target.dataset) {
+            this.showError('Pick series from two different datasets: offsets apply to whole datasets.');
+            return;
+        }
+        if (!(maxLag > 0)) {
+            this.showError('Enter a maximum lag in seconds.');
+            return;
+        }
+        
+        try {
+            const result = window.StreamAlignment.crossCorrelation(
+                window.DIMSStats.extractSeries(reference.dataset.data, reference.column),
+                window.DIMSStats.extractSeries(target.dataset.data, target.column),
+                maxLag
+            );
+            this.alignSuggestion = {
+                stream: String(this.currentData.indexOf(target.dataset)),
+                offset: Math.round((target.dataset.offset - result.bestLag) * 1000) / 1000,
+                lag: result.bestLag,
+                r: result.bestR,
+                reference: reference.label,
+                target: target.label,
+                atLimit: result.bestLag !== 0 && Math.abs(result.bestLag) >= result.lag[result.lag.length - 1] - result.dt / 2
+            };
         } catch (error) {
-            console.error('Error setting up controls:', error);
+            console.error('Cross-correlation failed:', error);
+            this.alignSuggestion = null;
+            this.showError(`Could not suggest an offset: ${error.message}`);
+        }
+        this.renderAlignmentSuggestion();
+    }
+
+    renderAlignmentSuggestion() {
+        const container = document.getElementById('alignSuggestion');
+        container.innerHTML = '';
+        const suggestion = this.alignSuggestion;
+        if (!suggestion) return;
+        
+        const lag = Math.abs(suggestion.lag).toFixed(3);
+        const relation = suggestion.lag === 0
+            ? `${suggestion.target} already lines up with ${suggestion.reference}`
+            : `${suggestion.target} ${suggestion.lag > 0 ? 'follows' : 'leads'} ${suggestion.reference} by ${lag} s`;
+        const text = document.createElement('span');
+        text.textContent = `${relation} (r = ${suggestion.r.toFixed(2)}). Suggested offset for ${this.currentData[suggestion.stream].name}: ${suggestion.offset} s. `;
+        container.appendChild(text);
+        if (suggestion.atLimit) {
+            const warning = document.createElement('span');
+            warning.textContent = 'The peak is at the maximum lag; try a larger one. ';
+            warning.style.color = '#ff922b';
+            container.appendChild(warning);
         }
+        if (suggestion.lag === 0) return;
+        const apply = document.createElement('button');
+        apply.type = 'button';
+        apply.className = 'panel-button';
+        apply.textContent = 'Apply';
+        container.appendChild(apply);
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     setupEventListeners() {
@@ -546,8 +2662,221 @@ class DIMSApp {
         document.getElementById('windowSize').addEventListener('change', () => {
             if (this.lastClickedPoint !== null) {
                 this.handleTimeClick(this.lastClickedPoint);
+            } else {
+                this.syncURL(false);
+            }
+        });
+        
+        document.getElementById('exportWindowBundle').addEventListener('click', () => this.exportWindowBundle());
+        
+        // [ and ] step the selected window, unless the user is typing in a field
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest('input, select, textarea')) return;
+            if (e.key === '[' || e.key === ']') {
+                e.preventDefault();
+                this.stepWindow(e.key === ']' ? 1 : -1);
+            }
+        });
+        
+        document.getElementById('followPlayback').addEventListener('change', (e) => {
+            this.followPlayback = e.target.checked;
+        });
+        
+        document.getElementById('columnLayout').addEventListener('change', (e) => {
+            this.columnLayout = e.target.value;
+            if (this.currentData) {
+                this.plotTimeseries(this.currentData, this.lastClickedPoint);
+            }
+            this.syncURL(false);
+        });
+        
+        document.getElementById('gapFill').addEventListener('change', (e) => {
+            this.gapFill = e.target.value;
+            if (this.currentData) {
+                this.plotTimeseries(this.currentData, this.lastClickedPoint);
+            }
+        });
+        
+        document.getElementById('showSpeakerBands').addEventListener('change', (e) => {
+            this.showSpeakerBands = e.target.checked;
+            this.renderSpeakerLegend();
+            this.refreshTimeAlignedShapes();
+            this.syncURL(false);
+        });
+        
+        const runSearch = _.debounce(() => this.runTranscriptSearch(), 250);
+        document.getElementById('transcriptSearchInput').addEventListener('input', runSearch);
+        document.getElementById('transcriptSearchSpeaker').addEventListener('change', runSearch);
+        document.getElementById('transcriptSearchRegex').addEventListener('change', runSearch);
+    }
+
+    populateSpeakerFilter() {
+        const select = document.getElementById('transcriptSearchSpeaker');
+        select.innerHTML = '<option value="">All speakers</option>';
+        window.TranscriptUtils.getSpeakers(this.currentTranscript).forEach(speaker => {
+            const option = document.createElement('option');
+            option.value = speaker;
+            option.textContent = speaker;
+            select.appendChild(option);
+        });
+    }
+
+    renderSpeakerLegend() {
+        const legend = document.getElementById('speakerLegend');
+        legend.innerHTML = '';
+        if (!this.showSpeakerBands || this.speakerBands.length === 0) return;
+        
+        const utils = window.TranscriptUtils;
+        const speakers = utils.getSpeakers(this.currentTranscript);
+        const entries = speakers.map(speaker => [speaker, utils.speakerColor(speaker, speakers)]);
+        entries.push(['Overlap', utils.overlapColor], ['Silence', utils.silenceColor]);
+        
+        entries.forEach(([label, color]) => {
+            const item = document.createElement('span');
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = color;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(label));
+            legend.appendChild(item);
+        });
+    }
+
+    buildSpeakerBandShapes(subplotCount) {
+        const utils = window.TranscriptUtils;
+        const speakers = utils.getSpeakers(this.currentTranscript);
+        const shapes = [];
+        
+        this.speakerBands.forEach(band => {
+            let color = utils.silenceColor;
+            if (band.kind === 'speaker') color = utils.speakerColor(band.speaker, speakers);
+            if (band.kind === 'overlap') color = utils.overlapColor;
+            
+            for (let i = 0; i < subplotCount; i++) {
+                shapes.push({
+                    type: 'rect',
+                    x0: band.start,
+                    x1: band.end,
+                    y0: 0,
+                    y1: 1,
+                    yref: `y${i + 1} domain`,
+                    fillcolor: color,
+                    opacity: 0.2,
+                    line: { width: 0 },
+                    layer: 'below'
+                });
             }
         });
+        
+        return shapes;
+    }
+
+    runTranscriptSearch() {
+        const query = document.getElementById('transcriptSearchInput').value;
+        const speaker = document.getElementById('transcriptSearchSpeaker').value;
+        const regex = document.getElementById('transcriptSearchRegex').checked;
+        
+        let hits = [];
+        let error = null;
+        try {
+            hits = window.TranscriptUtils.searchWords(this.transcriptWords, query, { speaker, regex });
+        } catch (e) {
+            error = e.message;
+        }
+        
+        this.searchHits = hits;
+        this.renderSearchResults(query, hits, error);
+        
+        // Hit markers appear on every subplot
+        this.refreshTimeAlignedShapes();
+        this.syncURL(false);
+    }
+
+    renderSearchResults(query, hits, error) {
+        const container = document.getElementById('transcriptSearchResults');
+        container.innerHTML = '';
+        if (!query.trim()) return;
+        
+        const summary = document.createElement('div');
+        summary.className = error ? 'search-summary error' : 'search-summary';
+        summary.textContent = error || `${hits.length} hit${hits.length === 1 ? '' : 's'} for "${query}"`;
+        container.appendChild(summary);
+        
+        hits.forEach(hit => {
+            const row = document.createElement('div');
+            row.className = 'search-hit';
+            row.title = hit.context;
+            
+            const time = document.createElement('span');
+            time.className = 'search-hit-time';
+            time.textContent = window.TranscriptUtils.formatTime(hit.start);
+            
+            row.appendChild(time);
+            row.appendChild(document.createTextNode(`[${hit.speaker}] ${hit.text}`));
+            row.addEventListener('click', () => this.handleTimeClick(hit.start));
+            container.appendChild(row);
+        });
+    }
+
+    // Transcript in any supported format: `config.transcripts.files[videoID]`, or the first
+    // assets/transcripts/{videoID}_transcript.{json,srt,vtt,eaf,TextGrid,csv} that exists
+    transcriptCandidates(videoID) {
+        const formats = window.TranscriptFormats;
+        const settings = this.config.transcripts || {};
+        const format = (settings.format || 'auto').toLowerCase();
+        const file = (settings.files || {})[videoID];
+        const extensions = format === 'auto' ? Object.values(formats.extensions) : [formats.extensions[format]];
+        return file ? [file] : extensions.map(extension => `assets/transcripts/${videoID}_transcript.${extension}`);
+    }
+
+    // { url, transcript } for the first candidate file, { url, error } when it doesn't parse,
+    // { url: null, tried } when none exists
+    async readTranscript(videoID) {
+        const settings = this.config.transcripts || {};
+        const candidates = this.transcriptCandidates(videoID);
+        const found = await this.fetchFirst(candidates);
+        if (!found) return { url: null, tried: candidates };
+        
+        try {
+            const transcript = window.TranscriptFormats.parse(found.text, {
+                format: (settings.format || 'auto').toLowerCase(),
+                filename: found.url,
+                tiers: settings.tiers,
+                wordTiers: settings.wordTiers
+            });
+            transcript.offset = parseFloat(settings.offset) || 0;
+            window.StreamAlignment.shiftTranscript(transcript, transcript.offset);
+            return { url: found.url, transcript };
+        } catch (error) {
+            return { url: found.url, error };
+        }
+    }
+
+    async loadTranscript(videoID) {
+        const result = await this.readTranscript(videoID);
+        if (result.transcript) {
+            console.log(`Loaded ${result.transcript.format} transcript from ${result.url}: ${result.transcript.segments.length} segments`);
+            return result.transcript;
+        }
+        if (result.error) {
+            console.error(`Failed to read transcript ${result.url}:`, result.error);
+        } else {
+            console.warn(`No transcript found for video ${videoID}`, result.tried);
+        }
+        return null;
+    }
+
+    // Text of the first URL that exists, or null
+    async fetchFirst(urls) {
+        for (const url of urls) {
+            try {
+                const response = await fetch(url);
+                if (response.ok) return { url, text: await response.text() };
+            } catch (error) {
+                // Unreachable; try the next candidate
+            }
+        }
+        return null;
     }
 
     async loadJSON(url) {
@@ -581,67 +2910,80 @@ class DIMSApp {
         }
     }
 
-    async loadCSV(url) {
+    timeseriesCandidates(videoID, dataType) {
+        const format = (this.getDataTypeSettings(dataType).format || 'auto').toLowerCase();
+        const extensions = format === 'auto' ? window.TimeseriesIngest.extensions : [format];
+        return extensions.map(extension => `assets/timeseries/${videoID}_${dataType}.${extension}`);
+    }
+
+    // First existing file among assets/timeseries/{videoID}_{dataType}.{csv,tsv,json}, converted with the
+    // measurement's ingestion settings: { url, table }, { url, error } when it doesn't parse,
+    // or { url: null, tried } when none exists
+    async readTimeseriesFile(videoID, dataType) {
+        const candidates = this.timeseriesCandidates(videoID, dataType);
+        const found = await this.fetchFirst(candidates);
+        if (!found) return { url: null, tried: candidates };
+        
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const text = await response.text();
-            return Papa.parse(text, {
-                header: true,
-                dynamicTyping: true,
-                skipEmptyLines: true
-            });
+            return { url: found.url, table: window.TimeseriesIngest.parse(found.text, this.getDataTypeSettings(dataType), found.url) };
         } catch (error) {
-            console.warn(`Failed to load CSV: ${url}`, error);
-            return null;
+            return { url: found.url, error };
         }
     }
 
-    cleanTimeseriesData(data) {
-        // Sort data by time first
-        const sortedData = [...data].sort((a, b) => a.Time - b.Time);
-        
-        // Check if time values reset (wrap around)
-        let wrapDetected = false;
-        let wrapIndex = -1;
-        
-        for (let i = 1; i < sortedData.length; i++) {
-            if (sortedData[i].Time < sortedData[i-1].Time - 0.1) { // Allow small tolerance for floating point
-                console.warn(`Time wrap detected at index ${i}: ${sortedData[i-1].Time} -> ${sortedData[i].Time}`);
-                wrapDetected = true;
-                wrapIndex = i;
-                break;
+    // { rows, fields } of a measurement, or null
+    async loadTimeseriesFile(videoID, dataType) {
+        const result = await this.readTimeseriesFile(videoID, dataType);
+        if (result.table) {
+            if (result.table.timeColumn !== 'Time' || result.table.unit !== 's') {
+                console.log(`${result.url}: time from "${result.table.timeColumn}" (${result.table.unit})`);
             }
+            return result.table;
         }
-        
-        if (wrapDetected) {
-            // Return only the first segment before the wrap
-            console.log(`Removing wrapped data after index ${wrapIndex}`);
-            return sortedData.slice(0, wrapIndex);
+        if (result.error) {
+            console.error(`Failed to read timeseries ${result.url}:`, result.error);
+        } else {
+            console.warn(`No timeseries file found for ${videoID}_${dataType}`, result.tried);
         }
-        
-        return sortedData;
+        return null;
+    }
+
+    // Sort by time, keeping concatenated recordings as consecutive segments (see DataQuality.segment)
+    cleanTimeseriesData(data, dataType) {
+        const settings = this.getDataTypeSettings(dataType);
+        const cleaned = window.DataQuality.segment(data, { segmentColumn: settings.segmentColumn });
+        if (cleaned.segments.length > 1) {
+            console.log(`${dataType}: ${cleaned.segments.length} segments`, cleaned.segments);
+        }
+        return cleaned;
     }
 
     async loadDataForVideoID(videoID) {
+        const [timeseries, transcript] = await Promise.all([
+            this.loadTimeseries(videoID),
+            this.loadTranscript(videoID)
+        ]);
+        
+        return {
+            timeseries: timeseries,
+            transcript: transcript
+        };
+    }
+
+    async loadTimeseries(videoID) {
         const dataTypes = this.config.dataTypes[videoID] || [];
         
         // Load all timeseries files for this video ID
-        const timeseriesPromises = dataTypes.map(dataType => 
-            this.loadCSV(`assets/timeseries/${videoID}_${dataType}.csv`)
-        );
-        
-        const [timeseriesResults, transcript] = await Promise.all([
-            Promise.all(timeseriesPromises),
-            this.loadJSON(`assets/transcripts/${videoID}_transcript.json`)
-        ]);
+        const timeseriesResults = await Promise.all(dataTypes.map(dataType => 
+            this.loadTimeseriesFile(videoID, dataType)
+        ));
         
         // Keep datasets separate instead of merging
         const datasets = [];
         dataTypes.forEach((dataType, index) => {
-            if (timeseriesResults[index] && timeseriesResults[index].data) {
-                const rawData = timeseriesResults[index].data;
-                const cleanedData = this.cleanTimeseriesData(rawData);
+            if (timeseriesResults[index]) {
+                const rawData = timeseriesResults[index].rows;
+                const { rows: cleanedData, segments } = this.cleanTimeseriesData(rawData, dataType);
                 
                 console.log(`Dataset ${dataType}:`, {
                     rawRows: rawData.length,
@@ -652,17 +2994,20 @@ class DIMSApp {
                 
                 datasets.push({
                     name: dataType,
-                    data: cleanedData
+                    data: cleanedData,
+                    fields: timeseriesResults[index].fields,
+                    sourceFields: timeseriesResults[index].sourceFields,
+                    timeColumn: timeseriesResults[index].timeColumn,
+                    offset: parseFloat(this.getDataTypeSettings(dataType).offset) || 0,
+                    segments: segments,
+                    columns: this.getValueColumns(dataType, cleanedData)
                 });
             }
         });
         
         console.log('Loaded datasets:', datasets);
         
-        return {
-            timeseries: datasets,
-            transcript: transcript
-        };
+        return datasets;
     }
 
     getTranscriptForSegment(transcript, startTime, endTime) {
@@ -720,133 +3065,463 @@ class DIMSApp {
     }
 
     plotTimeseries(datasets, selectedTime = null) {
+        const container = document.getElementById('plotContainer');
+        const showEmpty = () => {
+            // Drop the figure and its listeners so the next plot starts fresh
+            Plotly.purge(container);
+            this.boundPlots.delete(container);
+            container.innerHTML = '<div class="error">No data to plot</div>';
+        };
+        
         if (!datasets || datasets.length === 0) {
-            document.getElementById('plotContainer').innerHTML = '<div class="error">No data to plot</div>';
+            showEmpty();
+            return;
+        }
+        
+        // One subplot per series, or per dataset with its columns overlaid
+        const subplots = this.getTimeseriesSubplots(datasets);
+        if (subplots.length === 0) {
+            showEmpty();
+            this.timeseriesSubplotCount = 0;
+            this.timeseriesSubplots = [];
+            this.timeAlignedPlots.plotContainer = 0;
             return;
         }
         
-        // Create subplots for each dataset
         const traces = [];
         const annotations = [];
         
-        datasets.forEach((dataset, i) => {
-            if (!dataset.data || dataset.data.length === 0) return;
-            
-            // Sort data by time to prevent wrapping
-            const sortedData = [...dataset.data].sort((a, b) => a.Time - b.Time);
-            
-            // Get all columns except Time for this dataset
-            const columns = Object.keys(sortedData[0]).filter(col => col !== 'Time');
-            
-            // If multiple columns, create a single averaged trace
-            if (columns.length > 1) {
-                // Average all columns for this dataset
-                const avgY = sortedData.map(row => {
-                    const values = columns.map(col => row[col]).filter(v => v !== null && v !== undefined);
-                    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
-                });
-                
+        this.timeseriesTraceSeries = [];
+        subplots.forEach((subplot, i) => {
+            subplot.series.forEach(series => {
+                const { x, y } = this.getSeriesDetail(series, this.timeseriesXRange);
+                this.timeseriesTraceSeries.push(series);
                 traces.push({
-                    x: sortedData.map(d => d.Time),
-                    y: avgY,
+                    x: x,
+                    y: y,
                     type: 'scatter',
                     mode: 'lines',
-                    name: `${dataset.name} (averaged)`,
+                    name: series.label,
                     yaxis: `y${i + 1}`,
-                    line: { color: `hsl(${i * 360 / datasets.length}, 70%, 50%)` }
-                });
-            } else if (columns.length === 1) {
-                // Single column - plot directly
-                traces.push({
-                    x: sortedData.map(d => d.Time),
-                    y: sortedData.map(d => d[columns[0]]),
-                    type: 'scatter',
-                    mode: 'lines',
-                    name: dataset.name,
-                    yaxis: `y${i + 1}`,
-                    line: { color: `hsl(${i * 360 / datasets.length}, 70%, 50%)` }
+                    line: { color: series.color },
+                    showlegend: subplot.series.length > 1
                 });
+            });
+            
+            annotations.push({
+                text: subplot.title,
+                x: 0.02,
+                y: 1 - (i / subplots.length) - 0.02,
+                xref: 'paper',
+                yref: 'paper',
+                xanchor: 'left',
+                yanchor: 'top',
+                showarrow: false,
+                font: { color: 'white', size: 12 }
+            });
+        });
+        
+        annotations.push(...this.buildSegmentLabels(subplots));
+        
+        // Create layout with subplots
+        const layout = {
+            title: {
+                text: `ROI Synchrony Over Time for Video ${this.currentVideoID}`,
+                font: { color: 'white' }
+            },
+            paper_bgcolor: '#111',
+            plot_bgcolor: '#222',
+            font: { color: 'white' },
+            xaxis: {
+                title: 'Time (s)',
+                color: 'white',
+                gridcolor: '#444'
+            },
+            uirevision: this.currentVideoID, // keep the zoom when the figure is rebuilt
+            annotations: annotations.concat(this.buildAnnotationLabels()),
+            dragmode: this.annotationMode ? 'select' : 'zoom',
+            selectdirection: 'h',
+            height: 800,
+            margin: { t: 80, r: 50, b: 80, l: 50 },
+            showlegend: subplots.some(subplot => subplot.series.length > 1),
+            legend: { orientation: 'h', x: 0, y: -0.08 }
+        };
+        
+        // Add y-axes for each subplot
+        subplots.forEach((subplot, i) => {
+            const yAxisKey = i === 0 ? 'yaxis' : `yaxis${i + 1}`;
+            layout[yAxisKey] = {
+                title: '',
+                color: 'white',
+                gridcolor: '#444',
+                domain: [1 - (i + 1) / subplots.length + 0.02, 1 - i / subplots.length - 0.02]
+            };
+        });
+        
+        this.timeseriesSubplotCount = subplots.length;
+        this.timeseriesSubplots = subplots;
+        this.timeseriesTitles = annotations;
+        this.timeAlignedPlots.plotContainer = subplots.length;
+        
+        // Add playhead and highlight for selected time, then detected events
+        layout.shapes = this.getTimeAlignedShapes('plotContainer', selectedTime);
+        traces.push(...this.buildEventTraces(subplots));
+        
+        // Rebuilt only when the data, layout or events change; selection and playhead use relayout
+        Plotly.react(container, traces, layout, { responsive: true });
+        
+        this.bindPlotEvents(container, {
+            plotly_click: (data) => {
+                if (data.points && data.points.length > 0) {
+                    this.handleTimeClick(data.points[0].x);
+                }
+            },
+            // Dragging in annotate mode creates a new interval
+            plotly_selected: (data) => {
+                if (!this.annotationMode || !data || !data.range || !data.range.x) return;
+                const [start, end] = data.range.x;
+                Plotly.relayout('plotContainer', { selections: [] });
+                this.openAnnotationForm({ start, end });
+            },
+            plotly_relayout: (update) => this.handleTimeseriesZoom(update)
+        });
+    }
+
+    setTimeseriesZoom(range) {
+        if (this.timeseriesSubplotCount === 0) return;
+        const current = this.timeseriesXRange;
+        const unchanged = range && current ? range[0] === current[0] && range[1] === current[1] : range === current;
+        if (unchanged) return;
+        // plotly_relayout then re-samples the traces through handleTimeseriesZoom
+        Plotly.relayout('plotContainer', range ? { 'xaxis.range': range } : { 'xaxis.autorange': true });
+    }
+
+    // Re-sample the traces for the new x range; other relayouts (shapes, selections) are ignored
+    handleTimeseriesZoom(update) {
+        let range;
+        if (update['xaxis.range[0]'] !== undefined && update['xaxis.range[1]'] !== undefined) {
+            range = [update['xaxis.range[0]'], update['xaxis.range[1]']];
+        } else if (Array.isArray(update['xaxis.range'])) {
+            range = update['xaxis.range'];
+        } else if (update['xaxis.autorange']) {
+            range = null;
+        } else {
+            return;
+        }
+        
+        this.timeseriesXRange = range ? [Number(range[0]), Number(range[1])] : null;
+        this.syncURL(false);
+        if (this.timeseriesTraceSeries.length === 0) return;
+        
+        const x = [];
+        const y = [];
+        this.timeseriesTraceSeries.forEach(series => {
+            const detail = this.getSeriesDetail(series, this.timeseriesXRange);
+            x.push(detail.x);
+            y.push(detail.y);
+        });
+        Plotly.restyle('plotContainer', { x, y }, this.timeseriesTraceSeries.map((series, i) => i));
+    }
+
+    // Downsampled points of one series for a time range (full resolution when few enough)
+    getSeriesDetail(series, range) {
+        const { times, values } = this.getDisplaySeries(series);
+        return window.Downsample.reduce(times, values, range, this.config.downsampling);
+    }
+
+    // Times and values as drawn: gaps and segment boundaries broken or filled per the Gaps control
+    getDisplaySeries(series) {
+        const dataset = series.dataset;
+        const key = `${series.column}:${this.gapFill}`;
+        dataset._display = dataset._display || {};
+        if (!dataset._display[key]) {
+            const boundaries = (dataset.segments || []).slice(1).map(segment => segment.start);
+            dataset._display[key] = window.DataQuality.displaySeries(
+                this.getDatasetTimes(dataset),
+                this.getColumnValues(dataset, series.column),
+                { ...(this.config.gaps || {}), fill: this.gapFill },
+                boundaries
+            );
+        }
+        return dataset._display[key];
+    }
+
+    // Typed copies of the time and value columns, extracted once per dataset; non-numbers become NaN
+    getDatasetTimes(dataset) {
+        if (!dataset._times) {
+            const rows = dataset.data;
+            dataset._times = new Float64Array(rows.length);
+            for (let i = 0; i < rows.length; i++) {
+                dataset._times[i] = typeof rows[i].Time === 'number' ? rows[i].Time : NaN;
+            }
+        }
+        return dataset._times;
+    }
+
+    getColumnValues(dataset, column) {
+        dataset._values = dataset._values || {};
+        if (!dataset._values[column]) {
+            const rows = dataset.data;
+            const values = new Float64Array(rows.length);
+            for (let i = 0; i < rows.length; i++) {
+                values[i] = typeof rows[i][column] === 'number' ? rows[i][column] : NaN;
+            }
+            dataset._values[column] = values;
+        }
+        return dataset._values[column];
+    }
+
+    // Full shape list of a time-aligned figure: playheads and highlights first, then overlays
+    getTimeAlignedShapes(containerId, selectedTime) {
+        const shapes = this.buildTimeseriesShapes(this.timeAlignedPlots[containerId], selectedTime);
+        return containerId === 'plotContainer'
+            ? shapes.concat(this.buildEventShapes(this.timeseriesSubplots), this.buildSegmentShapes(this.timeseriesSubplots))
+            : shapes;
+    }
+
+    // Overlays changed (annotations, search hits, speaker bands): update shapes without re-plotting
+    refreshTimeAlignedShapes() {
+        Object.entries(this.timeAlignedPlots).forEach(([containerId, subplotCount]) => {
+            if (subplotCount === 0 || !document.getElementById(containerId)) return;
+            const update = { shapes: this.getTimeAlignedShapes(containerId, this.lastClickedPoint) };
+            if (containerId === 'plotContainer') {
+                update.annotations = this.timeseriesTitles.concat(this.buildAnnotationLabels());
             }
+            Plotly.relayout(containerId, update);
+        });
+    }
+
+    // Selection changed: replace only the playhead and highlight shapes
+    updateSelectionShapes() {
+        Object.entries(this.timeAlignedPlots).forEach(([containerId, subplotCount]) => {
+            if (subplotCount === 0 || !document.getElementById(containerId)) return;
+            const update = {};
+            this.buildMarkerShapes(subplotCount, this.lastClickedPoint).forEach((shape, i) => {
+                update[`shapes[${i}]`] = shape;
+            });
+            Plotly.relayout(containerId, update);
+        });
+    }
+
+    getDataTypeSettings(dataType) {
+        const settings = this.config.dataTypeSettings || {};
+        return settings[dataType] || {};
+    }
+
+    getValueColumns(dataType, rows) {
+        const segmentColumn = this.getDataTypeSettings(dataType).segmentColumn;
+        const available = rows.length > 0 ? Object.keys(rows[0]).filter(col => col !== 'Time' && col !== segmentColumn) : [];
+        const requested = this.getDataTypeSettings(dataType).columns;
+        if (!Array.isArray(requested) || requested.length === 0) return available;
+        
+        const missing = requested.filter(col => !available.includes(col));
+        if (missing.length > 0) {
+            console.warn(`Columns configured for ${dataType} but not found in the CSV:`, missing);
+        }
+        return requested.filter(col => available.includes(col));
+    }
+
+    getSeriesList(datasets = this.currentData) {
+        // One entry per plotted column. Single-column datasets keep the plain data type
+        // as key and label so they line up with RQA results keyed by data type.
+        const series = [];
+        (datasets || []).forEach(dataset => {
+            const columns = dataset.columns || [];
+            columns.forEach(column => {
+                const single = columns.length === 1;
+                series.push({
+                    key: single ? dataset.name : `${dataset.name}:${column}`,
+                    label: single ? dataset.name : `${dataset.name} (${column})`,
+                    dataType: dataset.name,
+                    column: column,
+                    dataset: dataset
+                });
+            });
+        });
+        series.forEach((entry, i) => {
+            entry.color = `hsl(${i * 360 / series.length}, 70%, 50%)`;
+        });
+        return series;
+    }
+
+    getTimeseriesSubplots(datasets) {
+        const series = this.getSeriesList(datasets);
+        const subplots = [];
+        
+        datasets.forEach(dataset => {
+            const own = series.filter(entry => entry.dataset === dataset);
+            if (own.length === 0 || dataset.data.length === 0) return;
             
-            annotations.push({
-                text: dataset.name,
-                x: 0.02,
-                y: 1 - (i / datasets.length) - 0.02,
-                xref: 'paper',
+            const layoutMode = this.getDataTypeSettings(dataset.name).layout || this.columnLayout;
+            if (layoutMode === 'overlay') {
+                subplots.push({ title: dataset.name, series: own });
+            } else {
+                own.forEach(entry => subplots.push({ title: entry.label, series: [entry] }));
+            }
+        });
+        
+        return subplots;
+    }
+
+    buildTimeseriesShapes(subplotCount, selectedTime) {
+        const shapes = this.buildMarkerShapes(subplotCount, selectedTime);
+        
+        // Speaker-turn bands behind each subplot
+        if (this.showSpeakerBands) {
+            shapes.push(...this.buildSpeakerBandShapes(subplotCount));
+        }
+        
+        // User annotations
+        shapes.push(...this.buildAnnotationShapes(subplotCount));
+        
+        // Transcript search hits span all subplots
+        this.searchHits.forEach(hit => {
+            shapes.push({
+                type: 'line',
+                x0: hit.start,
+                x1: hit.start,
+                y0: 0,
+                y1: 1,
                 yref: 'paper',
-                xanchor: 'left',
-                yanchor: 'top',
-                showarrow: false,
-                font: { color: 'white', size: 12 }
+                line: { color: '#ffd43b', width: 1, dash: 'dot' }
             });
         });
         
-        // Create layout with subplots
-        const layout = {
-            title: {
-                text: `ROI Synchrony Over Time for Video ${this.currentVideoID}`,
-                font: { color: 'white' }
-            },
-            paper_bgcolor: '#111',
-            plot_bgcolor: '#222',
-            font: { color: 'white' },
-            xaxis: {
-                title: 'Time (s)',
-                color: 'white',
-                gridcolor: '#444'
-            },
-            annotations: annotations,
-            height: 800,
-            margin: { t: 80, r: 50, b: 80, l: 50 },
-            showlegend: false
-        };
+        return shapes;
+    }
+
+    buildMarkerShapes(subplotCount, selectedTime, showPlayhead = this.playheadTime !== null) {
+        const shapes = [];
+        const playheadTime = this.playheadTime !== null ? this.playheadTime : 0;
         
-        // Add y-axes for each subplot
-        datasets.forEach((dataset, i) => {
-            const yAxisKey = i === 0 ? 'yaxis' : `yaxis${i + 1}`;
-            layout[yAxisKey] = {
-                title: '',
-                color: 'white',
-                gridcolor: '#444',
-                domain: [1 - (i + 1) / datasets.length + 0.02, 1 - i / datasets.length - 0.02]
-            };
-        });
+        // Playhead lines come first so their indices stay fixed for relayout updates
+        for (let i = 0; i < subplotCount; i++) {
+            shapes.push({
+                type: 'line',
+                x0: playheadTime,
+                x1: playheadTime,
+                y0: 0,
+                y1: 1,
+                yref: `y${i + 1} domain`,
+                line: { color: '#ff4d4d', width: 2 },
+                visible: showPlayhead
+            });
+        }
         
-        // Add highlight for selected time
-        if (selectedTime !== null) {
-            const windowSize = parseInt(document.getElementById('windowSize').value) || 5;
-            const startTime = Math.max(0, selectedTime - windowSize / 2);
-            const endTime = selectedTime + windowSize / 2;
-            
-            layout.shapes = datasets.map((dataset, i) => ({
+        // One window highlight per subplot, hidden until a time is selected
+        const bounds = selectedTime !== null ? this.getWindowBounds(selectedTime) : { startTime: 0, endTime: 0 };
+        for (let i = 0; i < subplotCount; i++) {
+            shapes.push({
                 type: 'rect',
-                x0: startTime,
-                x1: endTime,
+                x0: bounds.startTime,
+                x1: bounds.endTime,
                 y0: 0,
                 y1: 1,
                 yref: `y${i + 1} domain`,
                 fillcolor: 'rgba(255, 255, 255, 0.3)',
-                line: { color: 'white', width: 2 }
-            }));
+                line: { color: 'white', width: 2 },
+                visible: selectedTime !== null
+            });
+        }
+        
+        return shapes;
+    }
+
+    getWindowSize() {
+        return parseInt(document.getElementById('windowSize').value) || 5;
+    }
+
+    getWindowBounds(centerTime) {
+        const windowSize = this.getWindowSize();
+        return {
+            startTime: Math.max(0, centerTime - windowSize / 2),
+            endTime: centerTime + windowSize / 2,
+            windowSize: windowSize
+        };
+    }
+
+    handlePlaybackTime(time, isPlaying) {
+        const wasPlaying = this.isPlaying;
+        this.playheadTime = time;
+        this.isPlaying = isPlaying;
+        this.syncMediaStrip(time, isPlaying);
+        
+        // When playback stops in follow mode, sync videos and transcript to the final window
+        if (this.followPlayback && wasPlaying && !isPlaying) {
+            this.handleTimeClick(time);
+            return;
+        }
+        
+        // Coalesce updates into one redraw per animation frame
+        if (this.playheadFrame === null) {
+            this.playheadFrame = requestAnimationFrame(() => {
+                this.playheadFrame = null;
+                this.renderPlayhead();
+            });
         }
+    }
+
+    renderPlayhead() {
+        const time = this.playheadTime;
+        if (time === null) return;
         
-        Plotly.newPlot('plotContainer', traces, layout, { responsive: true });
+        const following = this.followPlayback && this.isPlaying;
+        if (following) {
+            this.lastClickedPoint = time;
+            if (this.timeSlider) this.timeSlider.value = time;
+        }
         
-        // Add click handler
-        document.getElementById('plotContainer').on('plotly_click', (data) => {
-            if (data.points && data.points.length > 0) {
-                const clickedTime = data.points[0].x;
-                this.handleTimeClick(clickedTime);
+        // Time-aligned figures: move only the playhead (and highlight) shapes instead of re-plotting
+        Object.entries(this.timeAlignedPlots).forEach(([containerId, subplotCount]) => {
+            if (subplotCount === 0 || !document.getElementById(containerId)) return;
+            const update = {};
+            for (let i = 0; i < subplotCount; i++) {
+                update[`shapes[${i}].x0`] = time;
+                update[`shapes[${i}].x1`] = time;
+                update[`shapes[${i}].visible`] = true;
+            }
+            if (following) {
+                const bounds = this.getWindowBounds(time);
+                for (let i = subplotCount; i < subplotCount * 2; i++) {
+                    update[`shapes[${i}].x0`] = bounds.startTime;
+                    update[`shapes[${i}].x1`] = bounds.endTime;
+                    update[`shapes[${i}].visible`] = true;
+                }
             }
+            Plotly.relayout(containerId, update);
         });
+        
+        if (this.transcriptPanel) {
+            this.transcriptPanel.setTime(time);
+        }
+        
+        // RQA plots: playhead on the diagonal and marginals
+        if (this.currentTab === 'rqa') {
+            this.updateRQAMarkerShapes();
+        }
+        
+        if (following) {
+            this.followStats();
+            document.getElementById('status').textContent = 
+                `Following playback: ${time.toFixed(2)}s (window: ${this.getWindowSize()}s)`;
+        }
+    }
+
+    seekTo(time) {
+        // Move the full video (and with it the playhead) and select the window around `time`
+        const fullVideo = document.querySelector('#fullVideoContainer video, #fullVideoContainer audio');
+        if (fullVideo) {
+            fullVideo.currentTime = time + this.getPrimaryMedia().offset;
+        }
+        this.handleTimeClick(time);
     }
 
     handleTimeClick(time) {
         this.lastClickedPoint = time;
-        const windowSize = parseInt(document.getElementById('windowSize').value) || 5;
+        const windowSize = this.getWindowSize();
         
-        // Update plot with highlight
-        this.plotTimeseries(this.currentData, time);
+        // Move the window highlight on the timeseries and windowed RQA figures
+        this.updateSelectionShapes();
         
         // Update videos
         this.updateVideos(time, windowSize);
@@ -854,78 +3529,211 @@ class DIMSApp {
         // Update transcript
         this.updateTranscript(time, windowSize);
         
+        this.renderWindowStats();
+        
         // Update RQA highlights if in RQA tab
-        if (this.currentTab === 'rqa' && this.rqaData) {
+        if (this.currentTab === 'rqa' && (this.rqaData || this.crqaData)) {
             this.updateRQAHighlights();
         }
         
         // Update status
         document.getElementById('status').textContent = 
             `Selected time: ${time.toFixed(2)}s (window: ${windowSize}s)`;
+        
+        this.syncURL(true);
+    }
+
+    // Statistics of every series inside the selected window next to the whole session
+    getWindowStats() {
+        const stats = window.DIMSStats;
+        const bounds = this.getWindowBounds(this.lastClickedPoint);
+        const series = this.getSeriesList(this.currentData || []).map(entry => {
+            const times = this.getDatasetTimes(entry.dataset);
+            const values = this.getColumnValues(entry.dataset, entry.column);
+            const [start, end] = stats.rangeIndices(times, bounds.startTime, bounds.endTime);
+            const windowStats = stats.describe(times.subarray(start, end), values.subarray(start, end));
+            
+            // Session statistics and the distribution of window means are cached per window size
+            const dataset = entry.dataset;
+            dataset._sessionStats = dataset._sessionStats || {};
+            dataset._rollingMeans = dataset._rollingMeans || {};
+            if (!dataset._sessionStats[entry.column]) {
+                dataset._sessionStats[entry.column] = stats.describe(times, values);
+            }
+            const rollingKey = `${entry.column}:${bounds.windowSize}`;
+            if (!dataset._rollingMeans[rollingKey]) {
+                dataset._rollingMeans[rollingKey] = stats.rollingMeans(times, values, bounds.windowSize);
+            }
+            
+            return {
+                label: entry.label,
+                color: entry.color,
+                window: windowStats,
+                session: dataset._sessionStats[entry.column],
+                rank: stats.percentileRank(dataset._rollingMeans[rollingKey], windowStats.mean)
+            };
+        });
+        return { ...bounds, series };
+    }
+
+    // Rows of [statistic, window, session] text and the percentile sentence for one series
+    formatWindowStats(entry, windowSize) {
+        const format = (key, value) => (key === 'count' ? String(value) : window.DIMSStats.formatNumber(value));
+        const rows = [
+            ['mean', 'Mean'], ['sd', 'SD'], ['min', 'Min'], ['max', 'Max'], ['slope', 'Slope (/s)'], ['count', 'Samples']
+        ].map(([key, title]) => [title, format(key, entry.window[key]), format(key, entry.session[key])]);
+        const note = isFinite(entry.rank)
+            ? `Percentile rank of the window mean among all ${windowSize}s windows: ${entry.rank.toFixed(0)}`
+            : `Not enough data to rank ${windowSize}s windows`;
+        return { rows, note };
+    }
+
+    renderWindowStats() {
+        const container = document.getElementById('windowStats');
+        if (!container) return;
+        container.innerHTML = '';
+        if (this.lastClickedPoint === null || this.getSeriesList(this.currentData || []).length === 0) {
+            container.innerHTML = '<div class="search-summary">Click a time point to see statistics for the selected window.</div>';
+            return;
+        }
+        
+        const { startTime, endTime, windowSize, series } = this.getWindowStats();
+        const heading = document.createElement('div');
+        heading.className = 'search-summary';
+        heading.textContent = `Window ${startTime.toFixed(1)}s - ${endTime.toFixed(1)}s vs. whole session`;
+        container.appendChild(heading);
+        
+        series.forEach(entry => {
+            const { rows, note } = this.formatWindowStats(entry, windowSize);
+            const table = document.createElement('table');
+            table.className = 'data-table window-stats-table';
+            table.innerHTML = `
+                <thead>
+                    <tr><th style="color: ${entry.color};">${entry.label}</th><th>Window</th><th>Session</th></tr>
+                </thead>
+            `;
+            const body = document.createElement('tbody');
+            rows.forEach(cells => {
+                const row = document.createElement('tr');
+                cells.forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            });
+            table.appendChild(body);
+            container.appendChild(table);
+            
+            const percentile = document.createElement('div');
+            percentile.className = 'search-summary';
+            percentile.textContent = note;
+            container.appendChild(percentile);
+        });
+    }
+
+    // Zip of everything inside the selected window: timeseries rows, transcript, RQA values and a manifest
+    exportWindowBundle() {
+        if (this.lastClickedPoint === null || !this.currentData) {
+            this.showError('Select a time point before exporting the window.');
+            return;
+        }
+        
+        const { startTime, endTime, windowSize } = this.getWindowBounds(this.lastClickedPoint);
+        const videoID = this.currentVideoID;
+        const files = [];
+        const manifest = {
+            videoID: videoID,
+            startTime: startTime,
+            endTime: endTime,
+            windowSize: windowSize,
+            selectedTime: this.lastClickedPoint,
+            title: this.config.title || '',
+            exportedAt: new Date().toISOString(),
+            timeseries: [],
+            transcript: null,
+            rqa: null
+        };
+        
+        // Timeseries rows with the original column names, order and time values, plus the
+        // dashboard time (seconds, after unit conversion, offsets and segment shifts)
+        const sourceTime = window.TimeseriesIngest.sourceTime;
+        this.currentData.forEach(dataset => {
+            const [start, end] = window.DIMSStats.rangeIndices(this.getDatasetTimes(dataset), startTime, endTime);
+            const rows = dataset.data.slice(start, end);
+            const fields = dataset.sourceFields || dataset.fields || Object.keys(rows[0] || {});
+            const data = rows.map(row => fields
+                .map(field => (field === dataset.timeColumn ? row[sourceTime] : row[field]))
+                .concat(row.Time));
+            const name = `timeseries/${videoID}_${dataset.name}.csv`;
+            files.push({ name, content: Papa.unparse({ fields: fields.concat('dashboard_time'), data }) });
+            manifest.timeseries.push({
+                dataType: dataset.name,
+                file: name,
+                rows: rows.length,
+                columns: fields,
+                timeColumn: dataset.timeColumn,
+                dashboardTimeColumn: 'dashboard_time'
+            });
+        });
+        
+        // Transcript segments overlapping the window, each keeping only its overlapping words
+        if (this.currentTranscript && this.currentTranscript.segments) {
+            const overlaps = (item) => item.start < endTime && item.end > startTime;
+            const segments = this.currentTranscript.segments.filter(overlaps).map(segment => ({
+                ...segment,
+                words: (segment.words || []).filter(word => typeof word.start !== 'number' || overlaps(word))
+            }));
+            const words = window.TranscriptUtils.getWords(this.currentTranscript).filter(overlaps)
+                .map(word => ({ word: word.word, start: word.start, end: word.end, speaker: word.speaker, score: word.score }));
+            files.push({ name: 'transcript/segments.json', content: JSON.stringify({ segments }, null, 2) });
+            files.push({ name: 'transcript/words.csv', content: Papa.unparse(words) });
+            manifest.transcript = { segments: segments.length, words: words.length, files: ['transcript/segments.json', 'transcript/words.csv'] };
+        }
+        
+        // RQA measures for the window and the windowed curves whose centre falls inside it
+        if (this.rqaData || this.crqaData) {
+            const rqa = { window: this.getRQAWindowMeasures(startTime, endTime), windowed: {} };
+            Object.entries(this.rqaData ? this.rqaData.rqa_data : {}).forEach(([key, plotData]) => {
+                if (!plotData.windowed) return;
+                const indices = plotData.windowed.time
+                    .map((time, i) => (time >= startTime && time <= endTime ? i : -1))
+                    .filter(i => i !== -1);
+                rqa.windowed[key] = {};
+                Object.entries(plotData.windowed).forEach(([name, values]) => {
+                    if (Array.isArray(values)) rqa.windowed[key][name] = indices.map(i => values[i]);
+                });
+            });
+            files.push({ name: 'rqa.json', content: JSON.stringify(rqa, null, 2) });
+            manifest.rqa = { series: rqa.window.map(entry => entry.key), file: 'rqa.json' };
+        }
+        
+        files.unshift({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+        const folder = `${videoID}_${startTime.toFixed(2)}-${endTime.toFixed(2)}s`;
+        const zip = window.ZipWriter.create(files.map(file => ({ name: `${folder}/${file.name}`, content: file.content })));
+        this.downloadFile(`${folder}.zip`, zip, 'application/zip');
+        this.showStatus(`Exported ${files.length} files for ${startTime.toFixed(2)}s - ${endTime.toFixed(2)}s`);
     }
 
     updateVideos(clickTime, windowSize) {
-        const videoSrc = `assets/videos/${this.currentVideoID}.mp4`;
         const startTime = Math.max(0, clickTime - windowSize / 2);
         const endTime = clickTime + windowSize / 2;
         
         console.log('=== VIDEO UPDATE DEBUG ===');
-        console.log('Video source:', videoSrc);
+        console.log('Media sources:', this.mediaSources);
         console.log('Click time:', clickTime);
         console.log('Window size:', windowSize);
         console.log('Start time:', startTime);
         console.log('End time:', endTime);
         
-        // Full video - different approach
-        const fullVideoContainer = document.getElementById('fullVideoContainer');
-        if (fullVideoContainer) {
-            console.log('Rendering full video component...');
-            try {
-                // For full video, we'll create a simpler video element if the component has issues
-                if (this.config.useSimpleVideoForFull) {
-                    // Fallback: Create a simple video element
-                    fullVideoContainer.innerHTML = `
-                        <h3 style="color: white;">Full Video</h3>
-                        <video src="${videoSrc}" controls style="width: 100%;" preload="metadata"></video>
-                    `;
-                    console.log('Full video rendered with simple HTML video element');
-                } else {
-                    // Use the React component but without startTime
-                    ReactDOM.render(
-                        React.createElement(window.TimeRangeVideo, {
-                            src: videoSrc,
-                            title: 'Full Video'
-                        }),
-                        fullVideoContainer
-                    );
-                    console.log('Full video component rendered successfully');
-                }
-            } catch (error) {
-                console.error('Error rendering full video:', error);
-                // Fallback to simple video element
-                fullVideoContainer.innerHTML = `
-                    <h3 style="color: white;">Full Video</h3>
-                    <video src="${videoSrc}" controls style="width: 100%;" preload="metadata"></video>
-                `;
-            }
-        } else {
-            console.error('fullVideoContainer element not found!');
-        }
+        this.renderMediaPlayers();
         
         // Segment video - keep as is since it works
         const segmentVideoContainer = document.getElementById('segmentVideoContainer');
         if (segmentVideoContainer) {
             console.log('Rendering segment video component...');
             try {
-                ReactDOM.render(
-                    React.createElement(window.TimeRangeVideo, {
-                        src: videoSrc,
-                        startTime: startTime,
-                        endTime: endTime,
-                        title: `Selected Segment (${startTime.toFixed(1)}s - ${endTime.toFixed(1)}s)`
-                    }),
-                    segmentVideoContainer
-                );
+                this.renderSegmentVideo(startTime, endTime);
                 console.log('Segment video component rendered successfully');
             } catch (error) {
                 console.error('Error rendering segment video:', error);
@@ -937,8 +3745,8 @@ class DIMSApp {
         // Debug: Check what's actually rendered
         setTimeout(() => {
             console.log('=== POST-RENDER CHECK ===');
-            const fullVideo = fullVideoContainer?.querySelector('video');
-            const segmentVideo = segmentVideoContainer?.querySelector('video');
+            const fullVideo = document.querySelector('#fullVideoContainer video, #fullVideoContainer audio');
+            const segmentVideo = segmentVideoContainer?.querySelector('video, audio');
             
             if (fullVideo) {
                 console.log('Full video element found:', {
@@ -971,12 +3779,222 @@ class DIMSApp {
         }, 500);
     }
 
+    // Media players configured for a video: `config.media[videoID]`, or the single default video
+    getMediaSources(videoID) {
+        const configured = (this.config.media || {})[videoID];
+        const sources = Array.isArray(configured) && configured.length > 0
+            ? configured
+            : [{ src: `assets/videos/${videoID}.mp4`, label: 'Video' }];
+        return sources.map((source, i) => ({
+            label: source.label || `Source ${i + 1}`,
+            src: source.src,
+            offset: typeof source.offset === 'number' ? source.offset : 0,
+            type: source.type || (/\.(mp3|wav|m4a|aac|ogg|oga|flac|opus)$/i.test(source.src) ? 'audio' : 'video')
+        }));
+    }
+
+    getPrimaryMedia() {
+        return this.mediaSources[this.primaryMedia] || this.mediaSources[0];
+    }
+
+    // The large player drives the playhead; the other sources play along in the strip below it
+    renderMediaPlayers() {
+        const primary = this.getPrimaryMedia();
+        const fullVideoContainer = document.getElementById('fullVideoContainer');
+        if (!primary || !fullVideoContainer) {
+            console.error('fullVideoContainer element not found!');
+            return;
+        }
+        const multiple = this.mediaSources.length > 1;
+        const title = `Full ${primary.type === 'audio' ? 'Audio' : 'Video'}${multiple ? `: ${primary.label}` : ''}`;
+        const renderSimple = () => {
+            fullVideoContainer.innerHTML = `
+                <h3 style="color: white;">${title}</h3>
+                <${primary.type} src="${primary.src}" controls style="width: 100%;" preload="metadata"></${primary.type}>
+            `;
+            this.attachPlaybackListener(fullVideoContainer.querySelector(primary.type), primary.offset);
+        };
+        
+        console.log('Rendering full video component...');
+        try {
+            // For full video, we'll create a simpler video element if the component has issues
+            if (this.config.useSimpleVideoForFull) {
+                renderSimple();
+                console.log('Full video rendered with simple HTML video element');
+            } else {
+                ReactDOM.render(
+                    React.createElement(window.TimeRangeVideo, {
+                        src: primary.src,
+                        type: primary.type,
+                        offset: primary.offset,
+                        startTime: this.mediaResumeTime,
+                        title: title,
+                        onPlaybackTime: this.handlePlaybackTime
+                    }),
+                    fullVideoContainer
+                );
+                console.log('Full video component rendered successfully');
+            }
+        } catch (error) {
+            console.error('Error rendering full video:', error);
+            renderSimple();
+        }
+        
+        this.renderMediaPicker();
+        const strip = document.getElementById('mediaStrip');
+        if (!strip) return;
+        const others = this.mediaSources
+            .map((source, index) => ({ source, index }))
+            .filter(({ index }) => index !== this.primaryMedia);
+        // Keep one container per slot so React reuses the players when the selection moves
+        while (strip.children.length > others.length) {
+            ReactDOM.unmountComponentAtNode(strip.lastElementChild);
+            strip.lastElementChild.remove();
+        }
+        others.forEach(({ source, index }, slot) => {
+            let item = strip.children[slot];
+            if (!item) {
+                item = document.createElement('div');
+                item.className = 'media-strip-item';
+                strip.appendChild(item);
+            }
+            item.dataset.index = index;
+            ReactDOM.render(
+                React.createElement(window.TimeRangeVideo, {
+                    src: source.src,
+                    type: source.type,
+                    offset: source.offset,
+                    startTime: this.mediaResumeTime,
+                    title: source.label,
+                    muted: true
+                }),
+                item
+            );
+        });
+    }
+
+    renderMediaPicker() {
+        const picker = document.getElementById('mediaPicker');
+        if (!picker) return;
+        picker.innerHTML = '';
+        if (this.mediaSources.length < 2) return;
+        this.mediaSources.forEach((source, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `panel-button${index === this.primaryMedia ? ' active' : ''}`;
+            button.textContent = source.label;
+            button.title = `Show ${source.label} large${source.offset ? ` (offset ${source.offset}s)` : ''}`;
+            button.addEventListener('click', () => this.setPrimaryMedia(index));
+            picker.appendChild(button);
+        });
+    }
+
+    setPrimaryMedia(index) {
+        if (index === this.primaryMedia || !this.mediaSources[index]) return;
+        // Pick up where the previous large player was
+        this.mediaResumeTime = this.playheadTime !== null ? this.playheadTime : this.lastClickedPoint;
+        if (this.mediaResumeTime === null) this.mediaResumeTime = undefined;
+        this.primaryMedia = index;
+        this.renderMediaPlayers();
+        if (this.lastClickedPoint !== null) {
+            const { startTime, endTime } = this.getWindowBounds(this.lastClickedPoint);
+            this.renderSegmentVideo(startTime, endTime);
+        }
+    }
+
+    // Follow the large player with the strip players: same play state and rate, offset-corrected time
+    syncMediaStrip(time, isPlaying) {
+        const primary = document.querySelector('#fullVideoContainer video, #fullVideoContainer audio');
+        document.querySelectorAll('.media-strip-item').forEach(item => {
+            const source = this.mediaSources[item.dataset.index];
+            const media = item.querySelector('video, audio');
+            if (!source || !media) return;
+            const target = Math.max(0, time + source.offset);
+            if (Math.abs(media.currentTime - target) > 0.25) media.currentTime = target;
+            if (primary) media.playbackRate = primary.playbackRate;
+            if (isPlaying && media.paused) {
+                media.play().catch(error => console.warn(`Could not play ${source.label}:`, error));
+            } else if (!isPlaying && !media.paused) {
+                media.pause();
+            }
+        });
+    }
+
+    renderSegmentVideo(startTime, endTime) {
+        const { preRoll, postRoll } = this.transport;
+        const roll = preRoll > 0 || postRoll > 0 ? ` (−${preRoll}s / +${postRoll}s roll)` : '';
+        const source = this.getPrimaryMedia();
+        ReactDOM.render(
+            React.createElement(window.TimeRangeVideo, {
+                src: source.src,
+                type: source.type,
+                offset: source.offset,
+                startTime: startTime,
+                endTime: endTime,
+                title: `Selected Segment (${startTime.toFixed(1)}s - ${endTime.toFixed(1)}s)${roll}`,
+                transport: this.transport,
+                onTransportChange: this.handleTransportChange,
+                onStepWindow: this.stepWindow
+            }),
+            document.getElementById('segmentVideoContainer')
+        );
+    }
+
+    handleTransportChange(transport) {
+        this.transport = transport;
+        if (this.lastClickedPoint !== null) {
+            const { startTime, endTime } = this.getWindowBounds(this.lastClickedPoint);
+            this.renderSegmentVideo(startTime, endTime);
+        }
+    }
+
+    // Move the selection forward or back by one window width, so a session can be coded window by window
+    stepWindow(direction) {
+        if (!this.timeSlider) return;
+        const windowSize = this.getWindowSize();
+        const minTime = parseFloat(this.timeSlider.min);
+        const maxTime = parseFloat(this.timeSlider.max);
+        // Without a selection, start with the first window
+        const time = this.lastClickedPoint === null
+            ? minTime + windowSize / 2
+            : this.lastClickedPoint + direction * windowSize;
+        if (this.lastClickedPoint !== null && (time < minTime || time > maxTime)) return;
+        this.timeSlider.value = time;
+        this.handleTimeClick(time);
+    }
+
+    attachPlaybackListener(video, offset = 0) {
+        // Plain video elements only get the native (~4 Hz) timeupdate events
+        if (!video) return;
+        const report = () => this.handlePlaybackTime(video.currentTime - offset, !video.paused);
+        video.addEventListener('timeupdate', report);
+        video.addEventListener('pause', report);
+        video.addEventListener('seeked', report);
+    }
+
     updateTranscript(clickTime, windowSize) {
         const startTime = Math.max(0, clickTime - windowSize / 2);
         const endTime = clickTime + windowSize / 2;
-        const transcriptText = this.getTranscriptForSegment(this.currentTranscript, startTime, endTime);
         
-        document.getElementById('transcriptDisplay').textContent = transcriptText;
+        if (this.transcriptPanel) {
+            this.transcriptPanel.setWindow(startTime, endTime);
+        } else {
+            const transcriptText = this.getTranscriptForSegment(this.currentTranscript, startTime, endTime);
+            document.getElementById('transcriptDisplay').textContent = transcriptText;
+        }
+    }
+
+    // Drop RQA results (and discard any still being computed) after the underlying data changed
+    resetRQAResults() {
+        this.rqaData = null;
+        this.rqaRequest++;
+        this.rqaLoading = false;
+        this.rqaTimeRanges = {};
+        delete this.timeAlignedPlots.rqaWindowedPlot;
+        this.crqaRequest++;
+        this.crqaData = null;
+        const crqaContainer = document.getElementById('rqaCrossPlots');
+        if (crqaContainer) crqaContainer.innerHTML = '';
     }
 
     async loadVideoData(videoID) {
@@ -989,7 +4007,39 @@ class DIMSApp {
             this.currentData = data.timeseries;
             this.currentTranscript = data.transcript;
             this.currentVideoID = videoID;
-            this.rqaData = null; // Reset RQA data for new video
+            this.mediaSources = this.getMediaSources(videoID);
+            this.primaryMedia = 0;
+            this.mediaResumeTime = undefined;
+            this.lastClickedPoint = null;
+            this.activeAnnotationId = null;
+            this.timeseriesXRange = null;
+            this.resetRQAResults();
+            this.playheadTime = null;
+            this.isPlaying = false;
+            
+            this.transcriptWords = window.TranscriptUtils.getWords(this.currentTranscript);
+            this.searchHits = [];
+            this.speakerBands = window.TranscriptUtils.computeSpeakerBands(this.currentTranscript);
+            this.renderSpeakerLegend();
+            if (this.transcriptPanel) {
+                this.transcriptPanel.setTranscript(this.currentTranscript);
+            }
+            this.populateSpeakerFilter();
+            this.annotationStore = new window.AnnotationStore(videoID);
+            this.closeAnnotationForm();
+            this.renderAnnotationList();
+            this.detectedEvents = [];
+            this.renderEventTable();
+            this.populateEventSeries();
+            this.populateCRQASeries();
+            this.alignSuggestion = null;
+            this.renderAlignmentRows();
+            this.populateAlignmentSeries();
+            this.renderAlignmentSuggestion();
+            this.renderDataQuality();
+            this.renderWindowStats();
+            document.getElementById('transcriptSearchInput').value = '';
+            document.getElementById('transcriptSearchResults').innerHTML = '';
             
             if (this.currentData && this.currentData.length > 0) {
                 // Create time slider - find min/max across all datasets
@@ -998,9 +4048,9 @@ class DIMSApp {
                 
                 this.currentData.forEach(dataset => {
                     if (dataset.data && dataset.data.length > 0) {
-                        const timeValues = dataset.data.map(d => d.Time).filter(t => t !== undefined);
-                        minTime = Math.min(minTime, ...timeValues);
-                        maxTime = Math.max(maxTime, ...timeValues);
+                        const timeValues = this.getDatasetTimes(dataset);
+                        minTime = Math.min(minTime, window.DIMSStats.min(timeValues));
+                        maxTime = Math.max(maxTime, window.DIMSStats.max(timeValues));
                     }
                 });
                 
@@ -1017,6 +4067,7 @@ class DIMSApp {
                     this.updateTranscript(minTime, this.config.defaultWindowSize);
                     
                     this.showStatus(`Loaded data for ${videoID}. Click on any point to segment video.`);
+                    this.syncURL(true);
                     
                     // Load RQA data if on RQA tab
                     if (this.currentTab === 'rqa' && this.config.include_RQA) {
@@ -1039,7 +4090,7 @@ class DIMSApp {
         
         // Test 1: Create a simple video element
         const testVideo = document.createElement('video');
-        testVideo.src = `assets/videos/${this.currentVideoID}.mp4`;
+        testVideo.src = this.getPrimaryMedia().src;
         testVideo.controls = true;
         testVideo.style.width = '300px';
         testVideo.style.border = '2px solid red';
@@ -1078,6 +4129,245 @@ class DIMSApp {
         console.log('Ogg Theora:', videoElement.canPlayType('video/ogg; codecs="theora"'));
     }
 
+    setupDiagnostics() {
+        document.getElementById('toggleDiagnostics').addEventListener('click', () => {
+            this.diagnosticsOpen = document.getElementById('diagnosticsList').hidden;
+            this.renderDiagnostics();
+        });
+        document.getElementById('rerunDiagnostics').addEventListener('click', () => this.runDiagnostics());
+    }
+
+    // Check config.json and every file it refers to; problems are listed in the setup panel
+    async runDiagnostics() {
+        const diagnostics = window.Diagnostics;
+        const request = ++this.diagnosticsRequest;
+        const issues = diagnostics.validateConfig(this.config).concat(diagnostics.checkConsistency(this.config));
+        this.diagnostics = { issues, done: false };
+        this.renderDiagnostics();
+        
+        // One video at a time to keep the load on the server (and the browser) low
+        const videoIDs = Array.isArray(this.config.videoIDs) ? this.config.videoIDs.map(String) : [];
+        for (const videoID of videoIDs) {
+            const found = await this.checkVideoAssets(videoID);
+            if (request !== this.diagnosticsRequest) return;
+            issues.push(...found);
+            this.renderDiagnostics();
+        }
+        
+        this.diagnostics.done = true;
+        this.renderDiagnostics();
+        console.log(`Setup check finished with ${issues.length} problem(s)`, issues);
+    }
+
+    async checkVideoAssets(videoID) {
+        const diagnostics = window.Diagnostics;
+        const issues = [];
+        const configuredMedia = (this.config.media || {})[videoID];
+        
+        // The first media source sets the span (on the dashboard clock) the data should cover
+        let mediaRange = null;
+        const sources = this.getMediaSources(videoID);
+        for (const [i, source] of sources.entries()) {
+            const probe = await this.probeMedia(source);
+            if (probe.error) {
+                issues.push(diagnostics.issue('error', source.src, probe.error, configuredMedia
+                    ? `Check "src" under "media" → "${videoID}".`
+                    : `Put the video at ${source.src}, or list its files under "media" → "${videoID}".`));
+            } else if (i === 0 && isFinite(probe.duration)) {
+                mediaRange = [-source.offset, probe.duration - source.offset];
+            }
+        }
+        
+        const dataTypes = Array.isArray((this.config.dataTypes || {})[videoID]) ? this.config.dataTypes[videoID] : [];
+        for (const dataType of dataTypes) {
+            issues.push(...await this.checkTimeseriesFile(videoID, dataType, mediaRange));
+        }
+        issues.push(...await this.checkTranscriptFile(videoID, mediaRange));
+        issues.push(...await this.checkRQAFile(videoID, dataTypes));
+        return issues;
+    }
+
+    async checkTimeseriesFile(videoID, dataType, mediaRange) {
+        const diagnostics = window.Diagnostics;
+        const result = await this.readTimeseriesFile(videoID, dataType);
+        if (!result.url) {
+            return [diagnostics.issue('error', result.tried[0], `Missing: no file for "${dataType}" of video ${videoID}.`,
+                `Add ${result.tried.join(' or ')}, or remove "${dataType}" from "dataTypes" → "${videoID}".`)];
+        }
+        if (result.error) {
+            return [diagnostics.issue('error', result.url, `Could not be read: ${result.error.message}`,
+                'Check the header row and delimiter; "dataTypeSettings" can set the time column, its unit and the delimiter.')];
+        }
+        
+        const { rows, fields } = result.table;
+        if (rows.length === 0) {
+            return [diagnostics.issue('error', result.url, 'No rows with a valid time value.',
+                'The time column should hold numbers or hh:mm:ss timecodes.')];
+        }
+        const issues = [];
+        const valueFields = fields.filter(field => field !== 'Time');
+        const numeric = valueFields.filter(field => rows.some(row => typeof row[field] === 'number' && isFinite(row[field])));
+        if (numeric.length === 0) {
+            issues.push(diagnostics.issue('error', result.url, 'No column holds numbers, so nothing can be plotted.',
+                'If all columns were read as one, set "delimiter" in "dataTypeSettings"; decimal commas are not supported.'));
+        }
+        const requested = this.getDataTypeSettings(dataType).columns;
+        (Array.isArray(requested) ? requested : []).filter(column => !valueFields.includes(column)).forEach(column => {
+            issues.push(diagnostics.issue('warning', result.url, `Column "${column}" from "dataTypeSettings" → "${dataType}" → "columns" is not in the file.`,
+                diagnostics.didYouMean(column, valueFields) || `The file has: ${valueFields.join(', ')}.`));
+        });
+        
+        if (mediaRange) {
+            let start = Infinity;
+            let end = -Infinity;
+            rows.forEach(row => {
+                start = Math.min(start, row.Time);
+                end = Math.max(end, row.Time);
+            });
+            issues.push(...diagnostics.checkTimeRange(result.url, [start, end], mediaRange));
+        }
+        return issues;
+    }
+
+    async checkTranscriptFile(videoID, mediaRange) {
+        const diagnostics = window.Diagnostics;
+        const result = await this.readTranscript(videoID);
+        if (!result.url) {
+            return [diagnostics.issue('warning', result.tried[0], `No transcript for video ${videoID}; the transcript panel stays empty.`,
+                `Add ${result.tried.length > 1 ? 'one of ' : ''}${result.tried.join(', ')} if there should be one.`)];
+        }
+        if (result.error) {
+            return [diagnostics.issue('error', result.url, `Could not be read: ${result.error.message}`,
+                'Check the file against the transcript formats in the tutorial, or set "transcripts" → "format".')];
+        }
+        
+        const segments = result.transcript.segments;
+        if (segments.length === 0) {
+            return [diagnostics.issue('warning', result.url, 'The transcript has no segments.',
+                'For ELAN and TextGrid files, check "transcripts" → "tiers".')];
+        }
+        if (!mediaRange) return [];
+        let start = Infinity;
+        let end = -Infinity;
+        segments.forEach(segment => {
+            start = Math.min(start, segment.start);
+            end = Math.max(end, segment.end);
+        });
+        return diagnostics.checkTimeRange(result.url, [start, end], mediaRange);
+    }
+
+    // Precomputed RQA is optional unless rqaSettings.source is "file"
+    async checkRQAFile(videoID, dataTypes) {
+        const diagnostics = window.Diagnostics;
+        const includeRQA = (Array.isArray(this.config.include_RQA) ? this.config.include_RQA : []).filter(dataType => dataTypes.includes(dataType));
+        const source = (this.config.rqaSettings || {}).source || 'auto';
+        if (includeRQA.length === 0 || source === 'browser') return [];
+        
+        const url = `assets/rqa/${videoID}_rqa_data.json`;
+        const found = await this.fetchFirst([url]);
+        if (!found) {
+            return source === 'file'
+                ? [diagnostics.issue('error', url, 'Missing, and "rqaSettings" → "source" is "file".',
+                    'Run optional_step_RQA.py, or set "source" to "auto" to compute RQA in the browser.')]
+                : [];
+        }
+        
+        let rqaData;
+        try {
+            rqaData = JSON.parse(found.text);
+        } catch (error) {
+            return [diagnostics.issue('error', url, `Not valid JSON: ${error.message}`, 'Re-run optional_step_RQA.py.')];
+        }
+        if (!rqaData || !rqaData.rqa_data || Object.keys(rqaData.rqa_data).length === 0) {
+            return [diagnostics.issue('error', url, 'Has no "rqa_data" results.', 'Re-run optional_step_RQA.py.')];
+        }
+        const computed = Object.entries(rqaData.rqa_data).map(([key, result]) => result.data_type || key);
+        const missing = includeRQA.filter(dataType => !computed.includes(dataType));
+        return missing.length > 0
+            ? [diagnostics.issue('warning', url, `No results for ${missing.map(dataType => `"${dataType}"`).join(', ')} from "include_RQA".`,
+                'Re-run optional_step_RQA.py after changing "include_RQA", or set "source" to "browser".')]
+            : [];
+    }
+
+    // Existence (HEAD request) and duration (metadata only) of a media file
+    async probeMedia(source, timeout = 15000) {
+        try {
+            const response = await fetch(source.src, { method: 'HEAD' });
+            if (!response.ok) return { error: `Missing (HTTP ${response.status}).` };
+        } catch (error) {
+            return { error: `Could not be fetched: ${error.message}` };
+        }
+        
+        return new Promise(resolve => {
+            const media = document.createElement(source.type === 'audio' ? 'audio' : 'video');
+            let done = false;
+            const finish = (result) => {
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                media.removeAttribute('src');
+                media.load();
+                resolve(result);
+            };
+            // Some servers never answer range requests; skip the duration rather than hang
+            const timer = setTimeout(() => finish({ duration: NaN }), timeout);
+            media.preload = 'metadata';
+            media.addEventListener('loadedmetadata', () => finish({ duration: media.duration }));
+            media.addEventListener('error', () => finish({
+                error: source.type === 'audio'
+                    ? 'Exists, but the browser cannot play it. Convert it to MP3 or WAV.'
+                    : 'Exists, but the browser cannot play it. Re-encode it as MP4 (H.264 video, AAC audio).'
+            }));
+            media.src = source.src;
+        });
+    }
+
+    renderDiagnostics() {
+        const panel = document.getElementById('diagnosticsPanel');
+        if (!panel) return;
+        const { issues, done } = this.diagnostics;
+        const errors = issues.filter(issue => issue.level === 'error').length;
+        const warnings = issues.length - errors;
+        panel.hidden = issues.length === 0;
+        if (issues.length === 0) return;
+        
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        document.getElementById('diagnosticsSummary').textContent =
+            `Setup check: ${plural(errors, 'error')}, ${plural(warnings, 'warning')}${done ? '' : ' (still checking files…)'}`;
+        panel.classList.toggle('has-errors', errors > 0);
+        
+        const list = document.getElementById('diagnosticsList');
+        const open = this.diagnosticsOpen === null ? errors > 0 : this.diagnosticsOpen;
+        list.hidden = !open;
+        document.getElementById('toggleDiagnostics').textContent = open ? 'Hide details' : 'Show details';
+        list.innerHTML = '';
+        
+        // Grouped by file, in the order they were found
+        const subjects = [...new Set(issues.map(issue => issue.subject))];
+        subjects.forEach(subject => {
+            const group = document.createElement('div');
+            group.className = 'diagnostics-group';
+            const heading = document.createElement('h5');
+            heading.textContent = subject;
+            group.appendChild(heading);
+            issues.filter(issue => issue.subject === subject).forEach(issue => {
+                const item = document.createElement('div');
+                item.className = `diagnostics-item ${issue.level}`;
+                const level = document.createElement('strong');
+                level.textContent = issue.level === 'error' ? 'Error: ' : 'Warning: ';
+                item.append(level, issue.message);
+                if (issue.fix) {
+                    const fix = document.createElement('div');
+                    fix.className = 'diagnostics-fix';
+                    fix.textContent = `Fix: ${issue.fix}`;
+                    item.appendChild(fix);
+                }
+                group.appendChild(item);
+            });
+            list.appendChild(group);
+        });
+    }
+
     showStatus(message) {
         console.log('Status:', message);
         const statusEl = document.getElementById('status');
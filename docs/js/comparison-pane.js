@@ -0,0 +1,224 @@
+// One side of the comparison layout: its own video, window, timeseries, segment player and transcript
+window.ComparisonPane = class ComparisonPane {
+    constructor(container, app, options = {}) {
+        this.container = container;
+        this.app = app;
+        this.label = options.label || '';
+        this.onSelect = options.onSelect || null;
+        this.videoID = null;
+        this.datasets = [];
+        this.transcript = null;
+        this.selectedTime = null;
+        this.subplotCount = 0;
+        this.timeRange = [0, 0];
+        this.request = 0;
+
+        container.classList.add('compare-pane');
+        container.innerHTML = `
+            <div class="panel-toolbar">
+                <h4>${this.label}</h4>
+                <label>Video <select class="compare-video"></select></label>
+                <label>Window (s) <input type="number" class="compare-window" min="1" step="1" style="width: 70px;"></label>
+            </div>
+            <input type="range" class="compare-slider" step="0.1" style="width: 100%;">
+            <div class="compare-time"></div>
+            <div class="compare-plot"></div>
+            <div class="compare-player"></div>
+            <div class="transcript-content compare-transcript"></div>
+        `;
+
+        this.videoSelect = container.querySelector('.compare-video');
+        this.windowInput = container.querySelector('.compare-window');
+        this.slider = container.querySelector('.compare-slider');
+        this.timeDisplay = container.querySelector('.compare-time');
+        this.plotElement = container.querySelector('.compare-plot');
+        this.player = container.querySelector('.compare-player');
+        this.transcriptPanel = new window.TranscriptPanel(container.querySelector('.compare-transcript'), {
+            onSeek: (time) => this.select(time, true)
+        });
+
+        (app.config.videoIDs || []).forEach(videoID => {
+            const option = document.createElement('option');
+            option.value = videoID;
+            option.textContent = videoID;
+            this.videoSelect.appendChild(option);
+        });
+        this.windowInput.value = app.getWindowSize();
+
+        this.videoSelect.addEventListener('change', () => this.load(this.videoSelect.value));
+        this.windowInput.addEventListener('change', () => {
+            if (this.selectedTime !== null) this.select(this.selectedTime, true);
+        });
+        this.slider.addEventListener('input', () => this.select(parseFloat(this.slider.value), true));
+    }
+
+    getWindowSize() {
+        return Math.max(1, parseFloat(this.windowInput.value) || 5);
+    }
+
+    getWindowBounds() {
+        if (this.selectedTime === null) return null;
+        const windowSize = this.getWindowSize();
+        return {
+            startTime: Math.max(0, this.selectedTime - windowSize / 2),
+            endTime: this.selectedTime + windowSize / 2
+        };
+    }
+
+    // Load a video's data; `initialTime` (optional) selects a window once loaded, Infinity the last one
+    async load(videoID, initialTime = null) {
+        const request = ++this.request;
+        this.videoSelect.value = videoID;
+        const data = await this.app.getVideoData(videoID);
+        if (request !== this.request) return;
+
+        this.videoID = videoID;
+        this.datasets = data.timeseries || [];
+        this.transcript = data.transcript;
+        this.selectedTime = null;
+        this.transcriptPanel.setTranscript(this.transcript);
+
+        let minTime = Infinity;
+        let maxTime = -Infinity;
+        this.datasets.forEach(dataset => {
+            const times = this.app.getDatasetTimes(dataset);
+            if (times.length === 0) return;
+            minTime = Math.min(minTime, window.DIMSStats.min(times));
+            maxTime = Math.max(maxTime, window.DIMSStats.max(times));
+        });
+        if (minTime === Infinity) {
+            Plotly.purge(this.plotElement);
+            this.app.boundPlots.delete(this.plotElement);
+            this.plotElement.innerHTML = '<div class="error">No data to plot</div>';
+            this.subplotCount = 0;
+            return;
+        }
+        this.timeRange = [minTime, maxTime];
+        this.slider.min = minTime;
+        this.slider.max = maxTime;
+
+        await this.plot();
+        if (request !== this.request) return;
+        this.select(initialTime !== null ? initialTime : minTime + this.getWindowSize() / 2, false);
+    }
+
+    plot() {
+        const subplots = this.app.getTimeseriesSubplots(this.datasets);
+        const traces = [];
+        subplots.forEach((subplot, i) => {
+            subplot.series.forEach(series => {
+                const { x, y } = this.app.getSeriesDetail(series, null);
+                traces.push({
+                    x, y,
+                    type: 'scatter',
+                    mode: 'lines',
+                    name: series.label,
+                    yaxis: `y${i + 1}`,
+                    line: { color: series.color, width: 1 },
+                    hovertemplate: `${series.label}: %{y:.3f}<br>%{x:.1f}s<extra></extra>`
+                });
+            });
+        });
+
+        const layout = {
+            paper_bgcolor: '#111',
+            plot_bgcolor: '#222',
+            font: { color: 'white', size: 10 },
+            xaxis: { title: 'Time (s)', gridcolor: '#444' },
+            height: Math.max(250, 90 * subplots.length + 80),
+            margin: { t: 10, r: 10, b: 40, l: 40 },
+            showlegend: false,
+            // Window highlight per subplot, moved with relayout on selection
+            shapes: subplots.map((subplot, i) => ({
+                type: 'rect',
+                x0: 0, x1: 0, y0: 0, y1: 1,
+                yref: `y${i + 1} domain`,
+                fillcolor: 'rgba(255, 255, 255, 0.3)',
+                line: { color: 'white', width: 1 },
+                visible: false
+            })),
+            annotations: subplots.map((subplot, i) => ({
+                text: subplot.title,
+                x: 0.01,
+                y: 1 - (i / subplots.length),
+                xref: 'paper',
+                yref: 'paper',
+                xanchor: 'left',
+                yanchor: 'top',
+                showarrow: false,
+                font: { color: '#ccc', size: 10 }
+            }))
+        };
+        subplots.forEach((subplot, i) => {
+            layout[i === 0 ? 'yaxis' : `yaxis${i + 1}`] = {
+                gridcolor: '#444',
+                domain: [1 - (i + 1) / subplots.length + 0.03, 1 - i / subplots.length - 0.03]
+            };
+        });
+
+        this.subplotCount = subplots.length;
+        const rendered = Plotly.react(this.plotElement, traces, layout, { responsive: true, displayModeBar: false });
+        this.app.bindPlotEvents(this.plotElement, {
+            plotly_click: (data) => {
+                if (data.points && data.points.length > 0) this.select(data.points[0].x, true);
+            }
+        });
+        return rendered;
+    }
+
+    // Select the window centred on `time`; `fromUser` lets the layout link the other pane
+    select(time, fromUser) {
+        if (this.subplotCount === 0) return;
+        const previousTime = this.selectedTime;
+        // Keep the whole window inside the recording
+        const [minTime, maxTime] = this.timeRange;
+        const half = Math.min(this.getWindowSize() / 2, (maxTime - minTime) / 2);
+        this.selectedTime = Math.min(maxTime - half, Math.max(minTime + half, time));
+        this.slider.value = this.selectedTime;
+
+        const { startTime, endTime } = this.getWindowBounds();
+        this.timeDisplay.textContent = `${this.videoID}: ${startTime.toFixed(1)}s - ${endTime.toFixed(1)}s`;
+
+        const update = {};
+        for (let i = 0; i < this.subplotCount; i++) {
+            update[`shapes[${i}].x0`] = startTime;
+            update[`shapes[${i}].x1`] = endTime;
+            update[`shapes[${i}].visible`] = true;
+        }
+        Plotly.relayout(this.plotElement, update);
+
+        // The first configured source of the video, with its offset
+        const source = this.app.getMediaSources(this.videoID)[0];
+        ReactDOM.render(
+            React.createElement(window.TimeRangeVideo, {
+                src: source.src,
+                type: source.type,
+                offset: source.offset,
+                startTime: startTime,
+                endTime: endTime,
+                title: `${this.label}: ${startTime.toFixed(1)}s - ${endTime.toFixed(1)}s`
+            }),
+            this.player
+        );
+        this.transcriptPanel.setWindow(startTime, endTime);
+
+        if (this.onSelect) this.onSelect(this, previousTime, fromUser);
+    }
+
+    // Mean of every series inside the selected window, keyed by series key
+    getWindowMeans() {
+        const bounds = this.getWindowBounds();
+        const means = {};
+        if (!bounds) return means;
+        this.app.getSeriesList(this.datasets).forEach(series => {
+            const values = window.DIMSStats.windowValues(
+                this.app.getDatasetTimes(series.dataset),
+                this.app.getColumnValues(series.dataset, series.column),
+                bounds.startTime,
+                bounds.endTime
+            );
+            means[series.key] = { label: series.label, mean: window.DIMSStats.mean(values), count: values.length };
+        });
+        return means;
+    }
+};
@@ -0,0 +1,108 @@
+// Per-video summary statistics and sparklines for the corpus overview tab
+window.CorpusOverview = {
+    sparklinePoints: 80,
+
+    // Duration, mean, SD, time-weighted share above `threshold` and share of missing samples.
+    // `times` must be ascending; non-finite values count as missing.
+    summarize(times, values, threshold) {
+        const n = times.length;
+        const finite = [];
+        let above = 0;
+        let covered = 0;
+        for (let i = 0; i < n; i++) {
+            if (!isFinite(values[i])) continue;
+            finite.push(values[i]);
+            // Each sample stands for the interval up to the next one
+            const dt = i < n - 1 ? times[i + 1] - times[i] : 0;
+            if (!(dt > 0)) continue;
+            covered += dt;
+            if (values[i] > threshold) above += dt;
+        }
+        const stats = window.DIMSStats;
+        return {
+            duration: n > 1 ? times[n - 1] - times[0] : 0,
+            mean: stats.mean(finite),
+            sd: stats.sd(finite),
+            aboveThreshold: covered > 0 ? above / covered : NaN,
+            missing: n > 0 ? 1 - finite.length / n : NaN
+        };
+    },
+
+    // Values sorted ascending with the time each one covers summed from the top, so the share
+    // above any threshold is one binary search away (no need to keep or reload the rows)
+    thresholdProfile(times, values) {
+        const n = times.length;
+        const order = [];
+        const weights = new Float64Array(n);
+        for (let i = 0; i < n - 1; i++) {
+            const dt = times[i + 1] - times[i];
+            if (!isFinite(values[i]) || !(dt > 0)) continue;
+            weights[i] = dt;
+            order.push(i);
+        }
+        order.sort((a, b) => values[a] - values[b]);
+        const sorted = new Float64Array(order.length);
+        const above = new Float64Array(order.length + 1);
+        for (let k = order.length - 1; k >= 0; k--) {
+            sorted[k] = values[order[k]];
+            above[k] = above[k + 1] + weights[order[k]];
+        }
+        return { sorted, above };
+    },
+
+    // Same time-weighted share as summarize().aboveThreshold, from a thresholdProfile
+    shareAbove(profile, threshold) {
+        const { sorted, above } = profile;
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (sorted[mid] <= threshold) low = mid + 1;
+            else high = mid;
+        }
+        return above[0] > 0 ? above[low] / above[0] : NaN;
+    },
+
+    // A few dozen min/max points are enough for a table-cell sparkline
+    sparkline(times, values) {
+        return window.Downsample.reduce(times, values, null, { method: 'minmax', maxPoints: this.sparklinePoints });
+    },
+
+    // Inline SVG polyline; gaps (null) break the line
+    renderSparkline(points, color, width = 140, height = 28) {
+        const valid = points.y.filter(v => v !== null);
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('class', 'sparkline');
+        if (valid.length < 2) return svg;
+
+        const stats = window.DIMSStats;
+        const minX = points.x[0];
+        const rangeX = points.x[points.x.length - 1] - minX || 1;
+        const minY = stats.min(valid);
+        const rangeY = stats.max(valid) - minY || 1;
+
+        let path = '';
+        let drawing = false;
+        points.x.forEach((x, i) => {
+            const y = points.y[i];
+            if (y === null) {
+                drawing = false;
+                return;
+            }
+            const px = ((x - minX) / rangeX) * (width - 2) + 1;
+            const py = height - 1 - ((y - minY) / rangeY) * (height - 2);
+            path += `${drawing ? 'L' : 'M'}${px.toFixed(1)},${py.toFixed(1)}`;
+            drawing = true;
+        });
+
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        line.setAttribute('d', path);
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', color);
+        line.setAttribute('stroke-width', '1');
+        svg.appendChild(line);
+        return svg;
+    }
+};
@@ -0,0 +1,168 @@
+// Gaps, missing values and concatenated recordings in timeseries rows.
+// A gap is a step between samples longer than `factor` times the median sampling interval.
+window.DataQuality = {
+    defaults: {
+        fill: 'none',    // 'none' (draw gaps as breaks), 'interpolate' or 'hold' (last value)
+        maxFill: 1,      // seconds; longer gaps and missing runs stay breaks when filling
+        factor: 3,       // multiples of the median sampling interval that count as a gap
+        tolerance: 0.1   // seconds a timestamp may step back before a new segment starts
+    },
+
+    // Median positive step between consecutive times
+    sampleInterval(times) {
+        const steps = [];
+        for (let i = 1; i < times.length; i++) {
+            const dt = times[i] - times[i - 1];
+            if (dt > 0) steps.push(dt);
+        }
+        if (steps.length === 0) return NaN;
+        steps.sort((a, b) => a - b);
+        return steps[Math.floor(steps.length / 2)];
+    },
+
+    // Split rows (in file order) into recordings: at a change of `segmentColumn` when given,
+    // otherwise wherever the time steps back. Each recording is sorted by time, and one that
+    // overlaps the previous is moved to start one sample interval after it, so concatenated
+    // recordings follow each other instead of being cut off or interleaved.
+    // Returns { rows, segments: [{ label, start, end, shift, rows }] }.
+    segment(rows, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const groups = [];
+        let current = null;
+        rows.forEach((row, i) => {
+            const key = settings.segmentColumn ? row[settings.segmentColumn] : null;
+            const previous = rows[i - 1];
+            const split = !current || (settings.segmentColumn
+                ? key !== current.key
+                : row.Time < previous.Time - settings.tolerance);
+            if (split) {
+                current = { key, rows: [] };
+                groups.push(current);
+            }
+            current.rows.push(row);
+        });
+
+        // Many backward steps means an unsorted file rather than concatenated recordings
+        if (!settings.segmentColumn && groups.length > Math.max(10, rows.length / 100)) {
+            console.warn(`${groups.length} backward time steps; treating the file as one unsorted recording`);
+            groups.splice(0, groups.length, { key: null, rows: rows.slice() });
+        }
+
+        const result = [];
+        const segments = [];
+        let previousEnd = -Infinity;
+        let previousInterval = 0;
+        groups.forEach((group, i) => {
+            const sorted = group.rows.sort((a, b) => a.Time - b.Time);
+            const interval = this.sampleInterval(sorted.map(row => row.Time)) || 0;
+            const start = sorted[0].Time;
+            const shift = start <= previousEnd ? previousEnd + previousInterval - start : 0;
+            if (shift !== 0) sorted.forEach(row => { row.Time += shift; });
+
+            const end = sorted[sorted.length - 1].Time;
+            segments.push({
+                label: group.key !== null && group.key !== undefined ? String(group.key) : `Segment ${i + 1}`,
+                start: start + shift,
+                end: end,
+                shift: shift,
+                rows: sorted.length
+            });
+            sorted.forEach(row => result.push(row));
+            previousEnd = end;
+            previousInterval = interval;
+        });
+        return { rows: result, segments };
+    },
+
+    // Gaps between samples i and i + 1: [{ index, start, end }]
+    findGaps(times, factor = this.defaults.factor) {
+        const interval = this.sampleInterval(times);
+        const gaps = [];
+        if (!(interval > 0)) return gaps;
+        for (let i = 0; i < times.length - 1; i++) {
+            if (times[i + 1] - times[i] > interval * factor) {
+                gaps.push({ index: i, start: times[i], end: times[i + 1] });
+            }
+        }
+        return gaps;
+    },
+
+    // Missing values filled by interpolation or the last value, as long as the hole is at most `maxFill` s
+    fillValues(times, values, fill, maxFill) {
+        const filled = Float64Array.from(values);
+        if (fill !== 'interpolate' && fill !== 'hold') return filled;
+        let last = -1; // index of the last finite value
+        for (let i = 0; i < values.length; i++) {
+            if (isFinite(values[i])) {
+                if (fill === 'interpolate' && last !== -1 && last < i - 1 && times[i] - times[last] <= maxFill) {
+                    for (let k = last + 1; k < i; k++) {
+                        const fraction = (times[k] - times[last]) / (times[i] - times[last]);
+                        filled[k] = values[last] + (values[i] - values[last]) * fraction;
+                    }
+                }
+                last = i;
+            } else if (fill === 'hold' && last !== -1 && times[i] - times[last] <= maxFill) {
+                filled[i] = values[last];
+            }
+        }
+        return filled;
+    },
+
+    // Series to draw: missing values filled as requested, and a NaN sample (a break in the
+    // line) inside every gap that isn't filled and at every segment boundary. With 'hold'
+    // a filled gap is drawn as a step.
+    displaySeries(times, values, options = {}, boundaries = []) {
+        const settings = { ...this.defaults, ...options };
+        const filled = this.fillValues(times, values, settings.fill, settings.maxFill);
+        const breaks = new Set(this.findGaps(times, settings.factor)
+            .filter(gap => settings.fill === 'none' || gap.end - gap.start > settings.maxFill)
+            .map(gap => gap.index));
+        const steps = new Set(settings.fill === 'hold' ? this.findGaps(times, settings.factor).map(gap => gap.index) : []);
+        boundaries.forEach(time => {
+            const index = window.Downsample.lowerBound(times, time) - 1;
+            if (index >= 0) breaks.add(index);
+        });
+        if (settings.fill === 'none' && breaks.size === 0) return { times, values };
+
+        const x = [];
+        const y = [];
+        for (let i = 0; i < times.length; i++) {
+            x.push(times[i]);
+            y.push(filled[i]);
+            if (breaks.has(i)) {
+                x.push((times[i] + times[i + 1]) / 2);
+                y.push(NaN);
+            } else if (steps.has(i)) {
+                x.push(times[i + 1]);
+                y.push(filled[i]);
+            }
+        }
+        return { times: Float64Array.from(x), values: Float64Array.from(y) };
+    },
+
+    // Sampling rate, gaps and share of missing values of one dataset
+    summarize(times, columns, factor = this.defaults.factor) {
+        const n = times.length;
+        const interval = this.sampleInterval(times);
+        const gaps = this.findGaps(times, factor);
+        const span = n > 1 ? times[n - 1] - times[0] : 0;
+        const missing = {};
+        Object.entries(columns).forEach(([column, values]) => {
+            let count = 0;
+            for (let i = 0; i < values.length; i++) {
+                if (!isFinite(values[i])) count++;
+            }
+            missing[column] = n > 0 ? count / n : NaN;
+        });
+        const gapTime = gaps.reduce((sum, gap) => sum + (gap.end - gap.start - interval), 0);
+        return {
+            samples: n,
+            rate: interval > 0 ? 1 / interval : NaN,
+            span: span,
+            gaps: gaps.length,
+            gapTime: gapTime,
+            gapShare: span > 0 ? gapTime / span : 0,
+            missing: missing
+        };
+    }
+};
@@ -0,0 +1,248 @@
+// Setup checks for config.json: a small schema plus consistency rules between its sections.
+// Every problem is reported as { level: 'error' | 'warning', subject, message, fix }.
+window.Diagnostics = {
+    configSchema: {
+        type: 'object',
+        keys: {
+            videoIDs: { type: 'array', required: true, items: { type: ['string', 'number'] } },
+            dataTypes: { type: 'object', required: true, values: { type: 'array', items: { type: 'string' } } },
+            include_RQA: { type: 'array', items: { type: 'string' } },
+            defaultWindowSize: { type: 'number', positive: true },
+            title: { type: 'string' },
+            subtitle: { type: 'string' },
+            authors: { type: 'string' },
+            contacts: { type: 'string' },
+            columnLayout: { type: 'string', enum: ['subplots', 'overlay'] },
+            useSimpleVideoForFull: { type: 'boolean' },
+            diagnostics: { type: 'boolean' },
+            dataTypeSettings: {
+                type: 'object',
+                values: {
+                    type: 'object',
+                    keys: {
+                        columns: { type: 'array', items: { type: 'string' } },
+                        layout: { type: 'string', enum: ['subplots', 'overlay'] },
+                        threshold: { type: 'number' },
+                        format: { type: 'string', enum: ['auto', 'csv', 'tsv', 'json'] },
+                        delimiter: { type: 'string' },
+                        timeColumn: { type: 'string' },
+                        timeUnit: { type: 'string', enum: ['s', 'ms', 'us', 'min', 'frames'] },
+                        frameRate: { type: 'number', positive: true },
+                        startAtZero: { type: 'boolean' },
+                        offset: { type: 'number' },
+                        segmentColumn: { type: 'string' }
+                    }
+                }
+            },
+            gaps: {
+                type: 'object',
+                keys: {
+                    fill: { type: 'string', enum: ['none', 'interpolate', 'hold'] },
+                    maxFill: { type: 'number' },
+                    factor: { type: 'number', positive: true }
+                }
+            },
+            downsampling: {
+                type: 'object',
+                keys: {
+                    method: { type: 'string', enum: ['minmax', 'lttb', 'none'] },
+                    maxPoints: { type: 'number', positive: true }
+                }
+            },
+            media: {
+                type: 'object',
+                values: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        keys: {
+                            label: { type: 'string' },
+                            src: { type: 'string', required: true },
+                            offset: { type: 'number' },
+                            type: { type: 'string', enum: ['video', 'audio'] }
+                        }
+                    }
+                }
+            },
+            playback: {
+                type: 'object',
+                keys: {
+                    loop: { type: 'boolean' },
+                    rate: { type: 'number', positive: true },
+                    preRoll: { type: 'number' },
+                    postRoll: { type: 'number' },
+                    fps: { type: 'number', positive: true }
+                }
+            },
+            transcripts: {
+                type: 'object',
+                keys: {
+                    format: { type: 'string', enum: ['auto', 'json', 'srt', 'vtt', 'eaf', 'textgrid', 'csv'] },
+                    files: { type: 'object', values: { type: 'string' } },
+                    tiers: { type: 'array', items: { type: 'string' } },
+                    wordTiers: { type: 'object', values: { type: 'string' } },
+                    offset: { type: 'number' }
+                }
+            },
+            rqaSettings: {
+                type: 'object',
+                keys: {
+                    source: { type: 'string', enum: ['auto', 'file', 'browser'] },
+                    targetRecurrence: { type: 'number', positive: true },
+                    threshold: { type: 'number', positive: true },
+                    embeddingDimension: { type: 'number', positive: true },
+                    delay: { type: 'number', positive: true },
+                    normalization: { type: 'string', enum: ['zscore', 'minmax', 'none'] },
+                    minLineLength: { type: 'number', positive: true },
+                    windowSeconds: { type: 'number' },
+                    stepSeconds: { type: 'number', positive: true },
+                    maxLagSeconds: { type: 'number' }
+                }
+            }
+        }
+    },
+
+    issue(level, subject, message, fix = '') {
+        return { level, subject, message, fix };
+    },
+
+    typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        return value === null ? 'null' : typeof value;
+    },
+
+    // Levenshtein distance, for "did you mean" hints on misspelled names
+    distance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    },
+
+    closest(name, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+        candidates.forEach(candidate => {
+            const d = this.distance(String(name).toLowerCase(), String(candidate).toLowerCase());
+            if (d < bestDistance) {
+                best = candidate;
+                bestDistance = d;
+            }
+        });
+        return bestDistance <= Math.max(2, Math.floor(String(name).length / 3)) ? best : null;
+    },
+
+    didYouMean(name, candidates) {
+        const match = this.closest(name, candidates);
+        return match === null ? '' : `Did you mean "${match}"?`;
+    },
+
+    validate(value, schema, path, issues) {
+        const type = this.typeOf(value);
+        const expected = [].concat(schema.type);
+        if (!expected.includes(type)) {
+            issues.push(this.issue('error', 'config.json', `"${path}" should be ${expected.join(' or ')}, not ${type}.`,
+                `Change "${path}" to a${/^[aeiou]/.test(expected[0]) ? 'n' : ''} ${expected[0]}.`));
+            return;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            issues.push(this.issue('error', 'config.json', `"${path}" is "${value}", which isn't one of ${schema.enum.map(v => `"${v}"`).join(', ')}.`,
+                this.didYouMean(value, schema.enum) || `Use one of ${schema.enum.join(', ')}.`));
+        }
+        if (schema.positive && !(value > 0)) {
+            issues.push(this.issue('error', 'config.json', `"${path}" must be greater than 0.`));
+        }
+        if (schema.items) {
+            value.forEach((item, i) => this.validate(item, schema.items, `${path}[${i}]`, issues));
+        }
+        if (schema.values) {
+            Object.entries(value).forEach(([key, item]) => this.validate(item, schema.values, `${path}.${key}`, issues));
+        }
+        if (schema.keys) {
+            const known = Object.keys(schema.keys);
+            const prefix = path ? `${path}.` : '';
+            known.forEach(key => {
+                if (value[key] === undefined) {
+                    if (schema.keys[key].required) {
+                        issues.push(this.issue('error', 'config.json', `"${prefix}${key}" is missing.`, `Add "${key}" to ${path ? `"${path}"` : 'config.json'}.`));
+                    }
+                    return;
+                }
+                this.validate(value[key], schema.keys[key], prefix + key, issues);
+            });
+            Object.keys(value).filter(key => !known.includes(key)).forEach(key => {
+                issues.push(this.issue('warning', 'config.json', `Unknown setting "${prefix}${key}" is ignored.`,
+                    this.didYouMean(key, known) || 'Remove it, or check the spelling against the tutorial.'));
+            });
+        }
+    },
+
+    validateConfig(config) {
+        const issues = [];
+        this.validate(config, this.configSchema, '', issues);
+        return issues;
+    },
+
+    // Rules spanning several sections: every ID, measurement and per-video entry must refer to something configured
+    checkConsistency(config) {
+        const issues = [];
+        const videoIDs = Array.isArray(config.videoIDs) ? config.videoIDs.map(String) : [];
+        const dataTypes = config.dataTypes && typeof config.dataTypes === 'object' ? config.dataTypes : {};
+        const measured = [...new Set(Object.values(dataTypes).filter(Array.isArray).flat())];
+
+        videoIDs.filter(id => !Array.isArray(dataTypes[id])).forEach(id => {
+            issues.push(this.issue('warning', 'config.json', `Video "${id}" has no entry in "dataTypes", so no timeseries are loaded for it.`,
+                `Add "${id}": ["measurement", ...] to "dataTypes".`));
+        });
+        const perVideo = [['dataTypes', dataTypes], ['media', config.media], ['transcripts.files', (config.transcripts || {}).files]];
+        perVideo.forEach(([section, entries]) => {
+            Object.keys(entries && typeof entries === 'object' ? entries : {}).filter(id => !videoIDs.includes(id)).forEach(id => {
+                issues.push(this.issue('warning', 'config.json', `"${section}" has an entry for "${id}", which isn't in "videoIDs".`,
+                    this.didYouMean(id, videoIDs) || `Add "${id}" to "videoIDs" or remove the entry.`));
+            });
+        });
+
+        (Array.isArray(config.include_RQA) ? config.include_RQA : []).forEach(dataType => {
+            const videos = videoIDs.filter(id => (dataTypes[id] || []).includes(dataType));
+            if (videos.length === 0) {
+                issues.push(this.issue('error', 'config.json', `"include_RQA" lists "${dataType}", but no video has it in "dataTypes".`,
+                    this.didYouMean(dataType, measured) || `Remove "${dataType}" from "include_RQA" or add it to "dataTypes".`));
+            } else if (videos.length < videoIDs.length) {
+                const missing = videoIDs.filter(id => !videos.includes(id));
+                issues.push(this.issue('warning', 'config.json', `"${dataType}" is in "include_RQA" but not measured for video${missing.length === 1 ? '' : 's'} ${missing.join(', ')}.`,
+                    'Those videos show RQA for their other measurements only.'));
+            }
+        });
+
+        Object.keys(config.dataTypeSettings && typeof config.dataTypeSettings === 'object' ? config.dataTypeSettings : {})
+            .filter(dataType => !measured.includes(dataType))
+            .forEach(dataType => {
+                issues.push(this.issue('warning', 'config.json', `"dataTypeSettings" has settings for "${dataType}", which no video measures.`,
+                    this.didYouMean(dataType, measured) || 'Check the spelling against "dataTypes".'));
+            });
+        return issues;
+    },
+
+    // Data time range against the span of the video on the dashboard clock
+    checkTimeRange(subject, dataRange, mediaRange) {
+        const [start, end] = dataRange;
+        const [mediaStart, mediaEnd] = mediaRange;
+        const span = `${start.toFixed(1)}–${end.toFixed(1)} s`;
+        const mediaSpan = `${mediaStart.toFixed(1)}–${mediaEnd.toFixed(1)} s`;
+        if (start > mediaEnd || end < mediaStart) {
+            return [this.issue('error', subject, `Times run ${span}, which doesn't overlap the video (${mediaSpan}).`,
+                'Check the time unit (seconds vs. milliseconds or frames) and any offset in "dataTypeSettings"; clock timestamps need "startAtZero".')];
+        }
+        // Rounding and trailing samples are fine; only flag a second or more
+        if (start < mediaStart - 1 || end > mediaEnd + 1) {
+            return [this.issue('warning', subject, `Times run ${span}, beyond the video (${mediaSpan}).`,
+                'Anything outside the video has no footage; check the offset if this is unexpected.')];
+        }
+        return [];
+    }
+};
@@ -0,0 +1,155 @@
+// Level-of-detail reduction of long (times, values) series for plotting.
+// `times` must be ascending; non-finite values are treated as gaps.
+window.Downsample = {
+    defaults: {
+        method: 'minmax',   // 'minmax', 'lttb' or 'none'
+        maxPoints: 2000     // per trace; the visible range is drawn at full resolution below this
+    },
+
+    // First index whose time is >= target
+    lowerBound(times, target) {
+        let low = 0;
+        let high = times.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (times[mid] < target) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    },
+
+    // Index range [start, end) covering [minTime, maxTime], widened by one sample
+    // on each side so lines run to the edges of the plot
+    visibleRange(times, minTime, maxTime) {
+        const start = Math.max(0, this.lowerBound(times, minTime) - 1);
+        const end = Math.min(times.length, this.lowerBound(times, maxTime) + 1);
+        return [start, Math.max(start, end)];
+    },
+
+    // Keep the minimum and maximum of each bucket (in time order), so peaks and
+    // troughs survive at every zoom level. Empty buckets become gaps, and a bucket
+    // with missing samples keeps a break where the first one is.
+    minMax(times, values, start, end, maxPoints) {
+        const x = [];
+        const y = [];
+        const buckets = Math.max(1, Math.floor(maxPoints / 2));
+        const size = (end - start) / buckets;
+        for (let b = 0; b < buckets; b++) {
+            const from = start + Math.floor(b * size);
+            const to = Math.min(end, start + Math.floor((b + 1) * size));
+            let minIndex = -1;
+            let maxIndex = -1;
+            let gapIndex = -1;
+            for (let i = from; i < to; i++) {
+                const v = values[i];
+                if (!isFinite(v)) {
+                    if (gapIndex === -1) gapIndex = i;
+                    continue;
+                }
+                if (minIndex === -1 || v < values[minIndex]) minIndex = i;
+                if (maxIndex === -1 || v > values[maxIndex]) maxIndex = i;
+            }
+            if (minIndex === -1) {
+                if (from < to) {
+                    x.push(times[from]);
+                    y.push(null);
+                }
+                continue;
+            }
+            const kept = minIndex === maxIndex ? [minIndex] : [Math.min(minIndex, maxIndex), Math.max(minIndex, maxIndex)];
+            if (gapIndex !== -1) kept.push(gapIndex);
+            kept.sort((a, b) => a - b).forEach(i => {
+                x.push(times[i]);
+                y.push(isFinite(values[i]) ? values[i] : null);
+            });
+        }
+        return { x, y };
+    },
+
+    // Largest-Triangle-Three-Buckets (Steinarsson, 2013): keeps the visual shape
+    // with about `maxPoints` samples. A bucket with non-finite samples adds a break.
+    lttb(times, values, start, end, maxPoints) {
+        const n = end - start;
+        const x = [times[start]];
+        const y = [values[start]];
+        const every = (n - 2) / (maxPoints - 2);
+        let a = start;
+
+        for (let b = 0; b < maxPoints - 2; b++) {
+            // Average of the next bucket is the third triangle vertex
+            const nextFrom = start + Math.floor((b + 1) * every) + 1;
+            const nextTo = Math.min(end, start + Math.floor((b + 2) * every) + 1);
+            let avgTime = 0;
+            let avgValue = 0;
+            let count = 0;
+            for (let i = nextFrom; i < nextTo; i++) {
+                if (!isFinite(values[i])) continue;
+                avgTime += times[i];
+                avgValue += values[i];
+                count++;
+            }
+            if (count === 0) {
+                avgTime = times[Math.min(end - 1, nextFrom)];
+                avgValue = isFinite(values[a]) ? values[a] : 0;
+            } else {
+                avgTime /= count;
+                avgValue /= count;
+            }
+
+            const from = start + Math.floor(b * every) + 1;
+            const to = start + Math.floor((b + 1) * every) + 1;
+            const ax = times[a];
+            const ay = isFinite(values[a]) ? values[a] : avgValue;
+            let maxArea = -1;
+            let chosen = -1;
+            let gapIndex = -1;
+            for (let i = from; i < to; i++) {
+                if (!isFinite(values[i])) {
+                    if (gapIndex === -1) gapIndex = i;
+                    continue;
+                }
+                const area = Math.abs((ax - avgTime) * (values[i] - ay) - (ax - times[i]) * (avgValue - ay));
+                if (area > maxArea) {
+                    maxArea = area;
+                    chosen = i;
+                }
+            }
+            if (gapIndex !== -1 && (chosen === -1 || gapIndex < chosen)) {
+                x.push(times[gapIndex]);
+                y.push(NaN);
+            }
+            if (chosen === -1) continue;
+            x.push(times[chosen]);
+            y.push(values[chosen]);
+            if (gapIndex > chosen) {
+                x.push(times[gapIndex]);
+                y.push(NaN);
+            }
+            a = chosen;
+        }
+
+        x.push(times[end - 1]);
+        y.push(values[end - 1]);
+        return { x, y: y.map(v => (isFinite(v) ? v : null)) };
+    },
+
+    // Points to draw for the visible time range (null range = everything)
+    reduce(times, values, range, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const [start, end] = range ? this.visibleRange(times, range[0], range[1]) : [0, times.length];
+
+        if (settings.method === 'none' || end - start <= settings.maxPoints || settings.maxPoints < 3) {
+            const x = new Array(end - start);
+            const y = new Array(end - start);
+            for (let i = start; i < end; i++) {
+                x[i - start] = times[i];
+                y[i - start] = isFinite(values[i]) ? values[i] : null;
+            }
+            return { x, y };
+        }
+
+        return settings.method === 'lttb'
+            ? this.lttb(times, values, start, end, settings.maxPoints)
+            : this.minMax(times, values, start, end, settings.maxPoints);
+    }
+};
@@ -0,0 +1,169 @@
+// Peak, threshold-run and sharp-change detection on a single (times, values) series
+window.EventFinder = {
+    // Convert a threshold in z-score units to raw units when requested
+    resolveThreshold(values, threshold, useZScore) {
+        if (!useZScore) return threshold;
+        const stats = window.DIMSStats;
+        return stats.mean(values) + threshold * (stats.sd(values) || 0);
+    },
+
+    // Lowest value between each sample and the nearest strictly higher sample on one side
+    // (or the end of the series), via a stack of decreasing values: linear time
+    baseMinima(values, step) {
+        const n = values.length;
+        const minima = new Float64Array(n);
+        const stack = []; // { value, min } where min covers the samples since the entry below it
+        for (let k = 0; k < n; k++) {
+            const i = step > 0 ? k : n - 1 - k;
+            let min = values[i];
+            while (stack.length > 0 && stack[stack.length - 1].value <= values[i]) {
+                min = Math.min(min, stack.pop().min);
+            }
+            minima[i] = min;
+            stack.push({ value: values[i], min });
+        }
+        return minima;
+    },
+
+    // Local maxima whose prominence exceeds `minProminence` (raw units),
+    // at least `minDistance` seconds apart (the more prominent peak wins)
+    findPeaks(times, values, options = {}) {
+        const minProminence = options.minProminence || 0;
+        const minDistance = options.minDistance || 0;
+        const leftMin = this.baseMinima(values, 1);
+        const rightMin = this.baseMinima(values, -1);
+        const candidates = [];
+
+        for (let i = 1; i < values.length - 1; i++) {
+            if (!(values[i] > values[i - 1] && values[i] >= values[i + 1])) continue;
+            const prominence = values[i] - Math.max(leftMin[i], rightMin[i]);
+            if (prominence >= minProminence) {
+                candidates.push({ index: i, prominence });
+            }
+        }
+
+        // Kept peak times stay sorted, so only the neighbours of a candidate need checking
+        candidates.sort((a, b) => b.prominence - a.prominence);
+        const kept = [];
+        const keptTimes = [];
+        candidates.forEach(candidate => {
+            const time = times[candidate.index];
+            const at = window.Downsample.lowerBound(keptTimes, time);
+            if (at < keptTimes.length && keptTimes[at] - time < minDistance) return;
+            if (at > 0 && time - keptTimes[at - 1] < minDistance) return;
+            keptTimes.splice(at, 0, time);
+            kept.push(candidate);
+        });
+
+        return kept.map(candidate => ({
+            type: 'peak',
+            time: times[candidate.index],
+            start: times[candidate.index],
+            end: times[candidate.index],
+            value: values[candidate.index],
+            score: candidate.prominence
+        }));
+    },
+
+    // Sustained runs above (or below) a raw threshold lasting at least `minDuration` seconds
+    findRuns(times, values, options = {}) {
+        const threshold = options.threshold;
+        const below = options.direction === 'below';
+        const minDuration = options.minDuration || 0;
+        const events = [];
+        let runStart = -1;
+
+        const closeRun = (endIndex) => {
+            const duration = times[endIndex] - times[runStart];
+            if (duration >= minDuration) {
+                let extreme = runStart;
+                for (let j = runStart; j <= endIndex; j++) {
+                    if (below ? values[j] < values[extreme] : values[j] > values[extreme]) extreme = j;
+                }
+                events.push({
+                    type: below ? 'below' : 'above',
+                    time: times[extreme],
+                    start: times[runStart],
+                    end: times[endIndex],
+                    value: values[extreme],
+                    score: Math.abs(values[extreme] - threshold)
+                });
+            }
+            runStart = -1;
+        };
+
+        for (let i = 0; i < values.length; i++) {
+            const inside = below ? values[i] < threshold : values[i] > threshold;
+            if (inside && runStart === -1) runStart = i;
+            if (!inside && runStart !== -1) closeRun(i - 1);
+        }
+        if (runStart !== -1) closeRun(values.length - 1);
+
+        return events;
+    },
+
+    // Samples where the rate of change (per second) is more than `threshold` SDs from its
+    // mean (or, without useZScore, more than `threshold` raw units per second). Consecutive
+    // samples, and changes less than `minGap` seconds apart, are merged into one event.
+    findSharpChanges(times, values, options = {}) {
+        const stats = window.DIMSStats;
+        const threshold = isFinite(options.threshold) ? options.threshold : 3;
+        const minGap = options.minGap || 0;
+        const rates = [];
+        for (let i = 1; i < values.length; i++) {
+            const dt = times[i] - times[i - 1];
+            rates.push(dt > 0 ? (values[i] - values[i - 1]) / dt : 0);
+        }
+        if (rates.length < 2) return [];
+
+        const scores = options.useZScore === false ? rates : stats.zScores(rates);
+        const events = [];
+        let current = null;
+        scores.forEach((score, i) => {
+            if (Math.abs(score) >= threshold) {
+                const time = times[i + 1];
+                if (current && (i === current.lastIndex + 1 || times[i] - current.end < minGap)) {
+                    current.end = time;
+                    current.lastIndex = i;
+                    if (Math.abs(score) > Math.abs(current.score)) {
+                        current.score = score;
+                        current.time = time;
+                        current.value = values[i + 1];
+                    }
+                } else {
+                    current = { type: 'change', time, start: times[i], end: time, value: values[i + 1], score, lastIndex: i };
+                    events.push(current);
+                }
+            }
+        });
+
+        return events.map(({ lastIndex, ...event }) => event);
+    },
+
+    find(times, values, options) {
+        switch (options.method) {
+            case 'peaks':
+                return this.findPeaks(times, values, {
+                    minProminence: options.useZScore
+                        ? options.threshold * (window.DIMSStats.sd(values) || 0)
+                        : options.threshold,
+                    minDistance: options.minDuration
+                });
+            case 'above':
+            case 'below':
+                return this.findRuns(times, values, {
+                    threshold: this.resolveThreshold(values, options.threshold, options.useZScore),
+                    direction: options.method,
+                    minDuration: options.minDuration
+                });
+            case 'change':
+                return this.findSharpChanges(times, values, {
+                    threshold: options.threshold,
+                    useZScore: options.useZScore,
+                    minGap: options.minDuration
+                });
+            default:
+                throw new Error(`Unknown event method: ${options.method}`);
+        }
+    }
+};
@@ -0,0 +1,101 @@
+// Print versions of the dashboard figures and the static "moment report"
+window.FigureExport = {
+    // Dark-theme colours used by the dashboard and their print replacements
+    printColors: {
+        'white': '#222',
+        '#fff': '#222',
+        '#ffffff': '#222',
+        '#ccc': '#444',
+        'yellow': '#e67700',
+        'rgba(255, 255, 255, 0.3)': 'rgba(0, 0, 0, 0.12)'
+    },
+
+    printColor(color) {
+        return typeof color === 'string' && this.printColors[color.toLowerCase()] || color;
+    },
+
+    // Copy of a figure on white paper; the live plot is left untouched
+    applyLightTheme(data, layout) {
+        const themed = JSON.parse(JSON.stringify(layout));
+        themed.paper_bgcolor = 'white';
+        themed.plot_bgcolor = 'white';
+        themed.font = { ...(themed.font || {}), color: '#222' };
+        if (themed.title && themed.title.font) themed.title.font.color = '#222';
+
+        Object.keys(themed).filter(key => /^[xy]axis\d*$/.test(key)).forEach(key => {
+            const axis = themed[key];
+            if (axis.color) axis.color = '#222';
+            axis.gridcolor = '#ddd';
+            axis.linecolor = '#999';
+            axis.zerolinecolor = '#bbb';
+        });
+        (themed.annotations || []).forEach(annotation => {
+            if (annotation.font) annotation.font.color = '#222';
+        });
+        (themed.shapes || []).forEach(shape => {
+            shape.fillcolor = this.printColor(shape.fillcolor);
+            if (shape.line) shape.line.color = this.printColor(shape.line.color);
+        });
+
+        const traces = data.map(trace => {
+            const copy = { ...trace };
+            if (trace.line) copy.line = { ...trace.line, color: this.printColor(trace.line.color) };
+            if (trace.marker && trace.marker.line) {
+                copy.marker = { ...trace.marker, line: { ...trace.marker.line, color: this.printColor(trace.marker.line.color) } };
+            }
+            return copy;
+        });
+        return { data: traces, layout: themed };
+    },
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    },
+
+    // Self-contained HTML page: figures are embedded as data URLs so the file can be mailed around
+    buildReport({ title, heading, link, figures, transcript, stats, generated }) {
+        const esc = (text) => this.escapeHTML(text);
+        const figureHTML = figures.map(figure => `
+    <figure>
+        <img src="${esc(figure.src)}" alt="${esc(figure.title)}">
+        <figcaption>${esc(figure.title)}</figcaption>
+    </figure>`).join('');
+        const transcriptHTML = transcript.length > 0
+            ? transcript.map(turn => `
+    <p><span class="meta">${esc(turn.speaker)} · ${turn.start.toFixed(2)}s</span> ${esc(turn.text)}</p>`).join('')
+            : '\n    <p class="meta">No transcript in this window.</p>';
+        const statsHTML = stats.map(entry => `
+    <table>
+        <thead><tr><th>${esc(entry.label)}</th><th>Window</th><th>Session</th></tr></thead>
+        <tbody>${entry.rows.map(row => `<tr>${row.map(cell => `<td>${esc(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>
+    <p class="meta">${esc(entry.note)}</p>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(title)}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #222; max-width: 1000px; margin: 40px auto; padding: 0 20px; }
+    figure { margin: 20px 0; }
+    figure img { width: 100%; border: 1px solid #ddd; }
+    figcaption, .meta { color: #666; font-size: 13px; }
+    table { border-collapse: collapse; margin: 10px 0 4px; font-size: 13px; }
+    th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+</style>
+</head>
+<body>
+    <h1>${esc(title)}</h1>
+    <p>${esc(heading)}</p>
+    <p><a href="${esc(link)}">Open this moment in the dashboard</a></p>
+    <h2>Figures</h2>${figureHTML}
+    <h2>Transcript</h2>${transcriptHTML}
+    <h2>Window statistics</h2>${statsHTML}
+    <p class="meta">Generated ${esc(generated)}</p>
+</body>
+</html>
+`;
+    }
+};
@@ -0,0 +1,411 @@
+// Recurrence quantification analysis, shared by the page and js/rqa-worker.js.
+// Produces the same structure as optional_step_RQA.py so createRQAPlot can render either.
+self.RQAEngine = {
+    defaults: {
+        threshold: null,           // fixed radius; null means derive it from targetRecurrence
+        targetRecurrence: 0.07,
+        embeddingDimension: 1,
+        delay: 1,
+        normalization: 'zscore',   // 'zscore', 'minmax' or 'none'
+        maxPoints: 2000,           // series longer than this are decimated before analysis
+        maxVisualizationPoints: 500,
+        minLineLength: 2,          // shortest diagonal/vertical line counted by DET, LAM, L, ENTR, TT
+        windowSeconds: 30,         // sliding-window RQA; 0 disables it
+        stepSeconds: 5,
+        maxLagSeconds: 10          // range of the cross-recurrence diagonal profile
+    },
+
+    // Display labels for the measures returned by computeMeasures
+    measureLabels: {
+        recurrence_rate: 'RR',
+        determinism: 'DET',
+        laminarity: 'LAM',
+        mean_line_length: 'L',
+        max_line_length: 'Lmax',
+        entropy: 'ENTR',
+        trapping_time: 'TT'
+    },
+
+    normalize(values, method) {
+        const n = values.length;
+        const result = new Float64Array(n);
+        if (method === 'none') {
+            result.set(values);
+            return result;
+        }
+        if (method === 'minmax') {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = 0; i < n; i++) {
+                if (values[i] < min) min = values[i];
+                if (values[i] > max) max = values[i];
+            }
+            const range = max - min || 1;
+            for (let i = 0; i < n; i++) result[i] = (values[i] - min) / range;
+            return result;
+        }
+        let mean = 0;
+        for (let i = 0; i < n; i++) mean += values[i];
+        mean /= n;
+        let variance = 0;
+        for (let i = 0; i < n; i++) variance += (values[i] - mean) * (values[i] - mean);
+        const sd = Math.sqrt(variance / n) || 1; // population SD, as numpy's default
+        for (let i = 0; i < n; i++) result[i] = (values[i] - mean) / sd;
+        return result;
+    },
+
+    // Keep every k-th sample so at most `maxPoints` remain
+    decimate(times, values, maxPoints) {
+        if (values.length <= maxPoints) return { times, values, factor: 1 };
+        const factor = Math.ceil(values.length / maxPoints);
+        const t = [];
+        const v = [];
+        for (let i = 0; i < values.length; i += factor) {
+            t.push(times[i]);
+            v.push(values[i]);
+        }
+        return { times: t, values: v, factor };
+    },
+
+    // Time-delay embedding; returns vectors flattened row-major (n x dimension)
+    embed(series, dimension, delay) {
+        const n = series.length - (dimension - 1) * delay;
+        if (n < 2) throw new Error('Series too short for the chosen embedding dimension and delay');
+        const vectors = new Float64Array(n * dimension);
+        for (let i = 0; i < n; i++) {
+            for (let d = 0; d < dimension; d++) {
+                vectors[i * dimension + d] = series[i + d * delay];
+            }
+        }
+        return { vectors, n };
+    },
+
+    // Euclidean distances between every pair of rows of a and b
+    distanceMatrix(a, na, b, nb, dimension) {
+        const distances = new Float64Array(na * nb);
+        for (let i = 0; i < na; i++) {
+            for (let j = 0; j < nb; j++) {
+                let sum = 0;
+                for (let d = 0; d < dimension; d++) {
+                    const diff = a[i * dimension + d] - b[j * dimension + d];
+                    sum += diff * diff;
+                }
+                distances[i * nb + j] = Math.sqrt(sum);
+            }
+        }
+        return distances;
+    },
+
+    // Radius giving the requested recurrence rate (percentile of off-diagonal distances)
+    thresholdForRate(distances, n, rate, symmetric) {
+        const sorted = new Float64Array(symmetric ? n * (n - 1) / 2 : n * n);
+        let k = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = symmetric ? i + 1 : 0; j < n; j++) {
+                sorted[k++] = distances[i * n + j];
+            }
+        }
+        sorted.sort();
+        const position = Math.min(sorted.length - 1, Math.max(0, rate * (sorted.length - 1)));
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    },
+
+    // Run lengths of consecutive recurrences along a line of the matrix
+    addRuns(histogram, get, length) {
+        let run = 0;
+        for (let k = 0; k <= length; k++) {
+            if (k < length && get(k)) {
+                run++;
+            } else if (run > 0) {
+                histogram[run] = (histogram[run] || 0) + 1;
+                run = 0;
+            }
+        }
+    },
+
+    // Line-based measures on the square block [start, start + size) of an n x n matrix.
+    // The line of identity is excluded for auto-recurrence (excludeDiagonal).
+    computeMeasures(matrix, n, start, size, options = {}) {
+        const minLine = options.minLineLength || this.defaults.minLineLength;
+        const excludeDiagonal = options.excludeDiagonal !== false;
+        const at = (i, j) => (excludeDiagonal && i === j ? 0 : matrix[(start + i) * n + start + j]);
+
+        let recurrences = 0;
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) recurrences += at(i, j);
+        }
+
+        const diagonal = {};
+        for (let offset = -(size - 1); offset < size; offset++) {
+            if (offset === 0 && excludeDiagonal) continue;
+            const i0 = Math.max(0, -offset);
+            const j0 = Math.max(0, offset);
+            this.addRuns(diagonal, k => at(i0 + k, j0 + k), size - Math.abs(offset));
+        }
+
+        const vertical = {};
+        for (let j = 0; j < size; j++) {
+            this.addRuns(vertical, i => at(i, j), size);
+        }
+
+        const summarize = (histogram) => {
+            let points = 0;
+            let longPoints = 0;
+            let longLines = 0;
+            let maxLength = 0;
+            Object.keys(histogram).forEach(key => {
+                const length = Number(key);
+                const count = histogram[key];
+                points += length * count;
+                if (length >= minLine) {
+                    longPoints += length * count;
+                    longLines += count;
+                    maxLength = Math.max(maxLength, length);
+                }
+            });
+            let entropy = 0;
+            Object.keys(histogram).forEach(key => {
+                if (Number(key) < minLine || longLines === 0) return;
+                const p = histogram[key] / longLines;
+                entropy -= p * Math.log(p);
+            });
+            return {
+                ratio: points > 0 ? longPoints / points : null,
+                mean: longLines > 0 ? longPoints / longLines : null,
+                max: maxLength,
+                entropy: longLines > 0 ? entropy : null
+            };
+        };
+
+        const lines = summarize(diagonal);
+        const verticals = summarize(vertical);
+        const cells = excludeDiagonal ? size * size - size : size * size;
+
+        return {
+            recurrence_rate: cells > 0 ? recurrences / cells : null,
+            determinism: lines.ratio,
+            laminarity: verticals.ratio,
+            mean_line_length: lines.mean,
+            max_line_length: lines.max,
+            entropy: lines.entropy,
+            trapping_time: verticals.mean
+        };
+    },
+
+    // Measures in sliding windows along the main diagonal, aligned to window centres
+    computeWindowed(matrix, n, times, options = {}) {
+        const windowSeconds = options.windowSeconds || 0;
+        if (!(windowSeconds > 0) || n < 2) return null;
+
+        const dt = (times[n - 1] - times[0]) / (n - 1);
+        const size = Math.max(options.minLineLength || this.defaults.minLineLength, Math.round(windowSeconds / dt));
+        const step = Math.max(1, Math.round((options.stepSeconds || windowSeconds) / dt));
+        if (size > n) return null;
+
+        const windowed = { window_seconds: windowSeconds, step_seconds: step * dt, time: [] };
+        for (let start = 0; start + size <= n; start += step) {
+            const measures = this.computeMeasures(matrix, n, start, size, options);
+            windowed.time.push((times[start] + times[start + size - 1]) / 2);
+            Object.keys(measures).forEach(name => {
+                (windowed[name] = windowed[name] || []).push(measures[name]);
+            });
+        }
+        return windowed;
+    },
+
+    // Linear interpolation of (times, values) onto an ascending time grid
+    resample(times, values, grid) {
+        const result = new Float64Array(grid.length);
+        let k = 0;
+        for (let i = 0; i < grid.length; i++) {
+            const t = grid[i];
+            while (k < times.length - 2 && times[k + 1] < t) k++;
+            const t0 = times[k];
+            const t1 = times[k + 1];
+            const fraction = t1 > t0 ? Math.min(1, Math.max(0, (t - t0) / (t1 - t0))) : 0;
+            result[i] = values[k] + (values[k + 1] - values[k]) * fraction;
+        }
+        return result;
+    },
+
+    // Recurrence rate along each diagonal of a cross-recurrence matrix. A positive
+    // lag means the second series (columns) recurs after the first (rows).
+    diagonalProfile(matrix, n, dt, maxLagSeconds) {
+        const maxLag = Math.min(n - 1, Math.round(maxLagSeconds / dt));
+        const profile = { lag: [], recurrence: [] };
+        for (let offset = -maxLag; offset <= maxLag; offset++) {
+            const length = n - Math.abs(offset);
+            const i0 = Math.max(0, -offset);
+            const j0 = Math.max(0, offset);
+            let sum = 0;
+            for (let k = 0; k < length; k++) sum += matrix[(i0 + k) * n + j0 + k];
+            profile.lag.push(offset * dt);
+            profile.recurrence.push(sum / length);
+        }
+        return profile;
+    },
+
+    // Dispatch a worker job: auto-recurrence of one series or cross-recurrence of two
+    run(job) {
+        return job.mode === 'cross'
+            ? this.computeCross(job.seriesA, job.seriesB, job.params)
+            : this.compute(job.times, job.values, job.params);
+    },
+
+    // Cross-recurrence of two series resampled onto their shared time range.
+    // Rows of the matrix belong to seriesA, columns to seriesB.
+    computeCross(seriesA, seriesB, params = {}) {
+        const options = { ...this.defaults, ...params };
+        [seriesA, seriesB].forEach(series => {
+            if (series.values.length < 10) throw new Error(`Insufficient data points (${series.values.length})`);
+        });
+
+        const start = Math.max(seriesA.times[0], seriesB.times[0]);
+        const end = Math.min(seriesA.times[seriesA.times.length - 1], seriesB.times[seriesB.times.length - 1]);
+        if (!(end > start)) throw new Error('The two series do not overlap in time');
+
+        // Sample at the coarser of the two rates, but never more than maxPoints
+        const interval = series => (series.times[series.times.length - 1] - series.times[0]) / (series.times.length - 1);
+        const dt = Math.max(interval(seriesA), interval(seriesB), (end - start) / (options.maxPoints - 1));
+        const count = Math.floor((end - start) / dt) + 1;
+        if (count < 10) throw new Error(`Insufficient overlapping data points (${count})`);
+        const grid = new Float64Array(count);
+        for (let i = 0; i < count; i++) grid[i] = start + i * dt;
+
+        const valuesA = this.resample(seriesA.times, seriesA.values, grid);
+        const valuesB = this.resample(seriesB.times, seriesB.values, grid);
+        const embeddedA = this.embed(this.normalize(valuesA, options.normalization), options.embeddingDimension, options.delay);
+        const embeddedB = this.embed(this.normalize(valuesB, options.normalization), options.embeddingDimension, options.delay);
+        const n = embeddedA.n;
+        const distances = this.distanceMatrix(embeddedA.vectors, n, embeddedB.vectors, n, options.embeddingDimension);
+
+        const threshold = options.threshold !== null && options.threshold !== undefined
+            ? options.threshold
+            : this.thresholdForRate(distances, n, options.targetRecurrence, false);
+
+        const matrix = new Uint8Array(n * n);
+        let recurrences = 0;
+        for (let k = 0; k < n * n; k++) {
+            if (distances[k] <= threshold) {
+                matrix[k] = 1;
+                recurrences++;
+            }
+        }
+
+        const times = Array.from(grid.subarray(0, n));
+        const visualization = this.buildVisualization(times, Array.from(valuesA.subarray(0, n)), matrix, n, n, options.maxVisualizationPoints);
+        const factor = Math.max(1, Math.floor(n / options.maxVisualizationPoints));
+        visualization.data_b = [];
+        for (let j = 0; j < n; j += factor) visualization.data_b.push(valuesB[j]);
+
+        return {
+            cross: true,
+            threshold: threshold,
+            // No line of identity in cross-recurrence, so every cell counts
+            recurrence_rate: recurrences / (n * n),
+            measures: this.computeMeasures(matrix, n, 0, n, { ...options, excludeDiagonal: false }),
+            profile: this.diagonalProfile(matrix, n, dt, options.maxLagSeconds),
+            recurrence: { n: n, time: times, matrix: matrix },
+            time_range: [times[0], times[n - 1]],
+            visualization: visualization,
+            full_data: {
+                n_points: [seriesA.values.length, seriesB.values.length],
+                analysed_points: n,
+                time_range: [start, end]
+            },
+            parameters: {
+                threshold: options.threshold,
+                target_recurrence: options.targetRecurrence,
+                embedding_dimension: options.embeddingDimension,
+                delay: options.delay,
+                normalization: options.normalization,
+                sampling_interval: dt,
+                min_line_length: options.minLineLength,
+                max_lag_seconds: options.maxLagSeconds
+            },
+            source: 'browser'
+        };
+    },
+
+    compute(times, values, params = {}) {
+        const options = { ...this.defaults, ...params };
+        if (values.length < 10) throw new Error(`Insufficient data points (${values.length})`);
+
+        const reduced = this.decimate(times, values, options.maxPoints);
+        const normalized = this.normalize(reduced.values, options.normalization);
+        const { vectors, n } = this.embed(normalized, options.embeddingDimension, options.delay);
+        const distances = this.distanceMatrix(vectors, n, vectors, n, options.embeddingDimension);
+
+        const threshold = options.threshold !== null && options.threshold !== undefined
+            ? options.threshold
+            : this.thresholdForRate(distances, n, options.targetRecurrence, true);
+
+        const matrix = new Uint8Array(n * n);
+        let recurrences = 0;
+        for (let k = 0; k < n * n; k++) {
+            if (distances[k] <= threshold) {
+                matrix[k] = 1;
+                recurrences++;
+            }
+        }
+        // Exclude the line of identity, as the Python script does
+        const recurrenceRate = (recurrences - n) / (n * n - n);
+
+        const embeddedTimes = reduced.times.slice(0, n);
+        const embeddedValues = reduced.values.slice(0, n);
+
+        return {
+            threshold: threshold,
+            recurrence_rate: recurrenceRate,
+            measures: this.computeMeasures(matrix, n, 0, n, options),
+            windowed: this.computeWindowed(matrix, n, embeddedTimes, options),
+            // Full-resolution matrix for window readouts; not meant to be exported
+            recurrence: { n: n, time: embeddedTimes, matrix: matrix },
+            time_range: [embeddedTimes[0], embeddedTimes[n - 1]],
+            visualization: this.buildVisualization(embeddedTimes, embeddedValues, matrix, n, n, options.maxVisualizationPoints),
+            full_data: {
+                n_points: values.length,
+                analysed_points: n,
+                time_range: [times[0], times[times.length - 1]]
+            },
+            parameters: {
+                threshold: options.threshold,
+                target_recurrence: options.targetRecurrence,
+                embedding_dimension: options.embeddingDimension,
+                delay: options.delay,
+                normalization: options.normalization,
+                decimation: reduced.factor,
+                min_line_length: options.minLineLength,
+                window_seconds: options.windowSeconds,
+                step_seconds: options.stepSeconds
+            },
+            source: 'browser'
+        };
+    },
+
+    // Downsample the matrix for plotting and store recurrences as [row, col] pairs
+    buildVisualization(times, values, matrix, rows, cols, maxPoints) {
+        const factor = Math.max(1, Math.floor(Math.max(rows, cols) / maxPoints));
+        const visTimes = [];
+        const visValues = [];
+        for (let i = 0; i < rows; i += factor) {
+            visTimes.push(times[i]);
+            visValues.push(values[i]);
+        }
+        const size = visTimes.length;
+        const sparse = [];
+        for (let i = 0, r = 0; i < rows; i += factor, r++) {
+            for (let j = 0, c = 0; j < cols; j += factor, c++) {
+                if (matrix[i * cols + j]) sparse.push([r, c]);
+            }
+        }
+        return {
+            time: visTimes,
+            data: visValues,
+            matrix_size: size,
+            sparse_matrix: sparse
+        };
+    }
+};
@@ -0,0 +1,13 @@
+// Web Worker running RQA off the main thread; see js/rqa-engine.js for the computation
+importScripts('rqa-engine.js');
+
+self.onmessage = (e) => {
+    const { id, ...job } = e.data;
+    try {
+        const result = self.RQAEngine.run(job);
+        // Hand the recurrence matrix over without copying it
+        self.postMessage({ id, result }, [result.recurrence.matrix.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
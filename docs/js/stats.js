@@ -0,0 +1,147 @@
+// Small numeric helpers shared by the analysis panels
+window.DIMSStats = {
+    // Pull finite (time, value) pairs for one column out of the row objects
+    extractSeries(rows, column) {
+        const times = [];
+        const values = [];
+        for (let i = 0; i < rows.length; i++) {
+            const t = rows[i].Time;
+            const v = rows[i][column];
+            if (typeof t === 'number' && typeof v === 'number' && isFinite(t) && isFinite(v)) {
+                times.push(t);
+                values.push(v);
+            }
+        }
+        return { times, values };
+    },
+
+    // Finite values whose time lies in [startTime, endTime]; `times` must be ascending
+    windowValues(times, values, startTime, endTime) {
+        const [start, end] = this.rangeIndices(times, startTime, endTime);
+        const result = [];
+        for (let i = start; i < end; i++) {
+            if (isFinite(values[i])) result.push(values[i]);
+        }
+        return result;
+    },
+
+    // Mean, SD, min, max, slope and sample count of the finite (time, value) pairs
+    describe(times, values) {
+        const t = [];
+        const v = [];
+        for (let i = 0; i < values.length; i++) {
+            if (isFinite(times[i]) && isFinite(values[i])) {
+                t.push(times[i]);
+                v.push(values[i]);
+            }
+        }
+        return {
+            mean: this.mean(v),
+            sd: this.sd(v),
+            min: this.min(v),
+            max: this.max(v),
+            slope: this.slope(t, v),
+            count: v.length
+        };
+    },
+
+    // Index range [start, end) of the entries of ascending `sorted` within [low, high]
+    rangeIndices(sorted, low, high) {
+        const bound = (target, inclusive) => {
+            let from = 0;
+            let to = sorted.length;
+            while (from < to) {
+                const mid = (from + to) >>> 1;
+                if (sorted[mid] < target || (inclusive && sorted[mid] === target)) from = mid + 1;
+                else to = mid;
+            }
+            return from;
+        };
+        return [bound(low, false), bound(high, true)];
+    },
+
+    // Sorted means of every `windowSize`-second window that starts at a sample and
+    // fits inside the recording (windows without finite values are skipped)
+    rollingMeans(times, values, windowSize) {
+        const n = times.length;
+        const sums = new Float64Array(n + 1);
+        const counts = new Uint32Array(n + 1);
+        for (let i = 0; i < n; i++) {
+            const finite = isFinite(values[i]);
+            sums[i + 1] = sums[i] + (finite ? values[i] : 0);
+            counts[i + 1] = counts[i] + (finite ? 1 : 0);
+        }
+        const means = [];
+        const last = this.max(times);
+        let end = 0;
+        for (let start = 0; start < n; start++) {
+            const from = times[start];
+            if (!isFinite(from)) continue;
+            if (from + windowSize > last) break;
+            while (end < n && !(times[end] > from + windowSize)) end++;
+            const count = counts[end] - counts[start];
+            if (count > 0) means.push((sums[end] - sums[start]) / count);
+        }
+        return Float64Array.from(means).sort();
+    },
+
+    // Percentage of `sorted` below `value` (ties count half)
+    percentileRank(sorted, value) {
+        if (sorted.length === 0 || !isFinite(value)) return NaN;
+        const [below, upTo] = this.rangeIndices(sorted, value, value);
+        return ((below + (upTo - below) / 2) / sorted.length) * 100;
+    },
+
+    mean(values) {
+        if (values.length === 0) return NaN;
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) sum += values[i];
+        return sum / values.length;
+    },
+
+    sd(values) {
+        if (values.length < 2) return NaN;
+        const m = this.mean(values);
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) sum += (values[i] - m) * (values[i] - m);
+        return Math.sqrt(sum / (values.length - 1));
+    },
+
+    // Loop-based so large arrays don't overflow the call stack like Math.min(...values)
+    min(values) {
+        let result = Infinity;
+        for (let i = 0; i < values.length; i++) if (values[i] < result) result = values[i];
+        return values.length > 0 ? result : NaN;
+    },
+
+    max(values) {
+        let result = -Infinity;
+        for (let i = 0; i < values.length; i++) if (values[i] > result) result = values[i];
+        return values.length > 0 ? result : NaN;
+    },
+
+    // Least-squares slope of values over times (units per second)
+    slope(times, values) {
+        const n = Math.min(times.length, values.length);
+        if (n < 2) return NaN;
+        const mt = this.mean(times);
+        const mv = this.mean(values);
+        let num = 0;
+        let den = 0;
+        for (let i = 0; i < n; i++) {
+            num += (times[i] - mt) * (values[i] - mv);
+            den += (times[i] - mt) * (times[i] - mt);
+        }
+        return den === 0 ? NaN : num / den;
+    },
+
+    zScores(values) {
+        const m = this.mean(values);
+        const s = this.sd(values);
+        return values.map(v => (s > 0 ? (v - m) / s : 0));
+    },
+
+    formatNumber(value, digits = 3) {
+        return typeof value === 'number' && isFinite(value) ? value.toFixed(digits) : '–';
+    }
+};
@@ -0,0 +1,83 @@
+// Clock offsets between data streams: shifting loaded data and suggesting a lag by cross-correlation
+window.StreamAlignment = {
+    dragRange: 10, // seconds either side of zero covered by the offset sliders
+
+    // Move rows (in place) by `delta` seconds
+    shiftRows(rows, delta) {
+        rows.forEach(row => {
+            if (typeof row.Time === 'number') row.Time += delta;
+        });
+    },
+
+    shiftTranscript(transcript, delta) {
+        if (!transcript || !transcript.segments) return;
+        const shift = item => {
+            if (typeof item.start === 'number') item.start += delta;
+            if (typeof item.end === 'number') item.end += delta;
+        };
+        transcript.segments.forEach(segment => {
+            shift(segment);
+            (segment.words || []).forEach(shift);
+        });
+    },
+
+    // Pearson correlation of A(t) with B(t + lag) for lags up to `maxLag` seconds. Both series are
+    // resampled onto their shared time range at the coarser rate (at most `maxPoints` samples).
+    // A positive best lag means B follows A, so shifting B by -lag lines it up with A.
+    crossCorrelation(seriesA, seriesB, maxLag, maxPoints = 4000) {
+        [seriesA, seriesB].forEach(series => {
+            if (series.values.length < 10) throw new Error(`Insufficient data points (${series.values.length})`);
+        });
+        const start = Math.max(seriesA.times[0], seriesB.times[0]);
+        const end = Math.min(seriesA.times[seriesA.times.length - 1], seriesB.times[seriesB.times.length - 1]);
+        if (!(end > start)) throw new Error('The two series do not overlap in time');
+
+        const interval = series => (series.times[series.times.length - 1] - series.times[0]) / (series.times.length - 1);
+        const dt = Math.max(interval(seriesA), interval(seriesB), (end - start) / (maxPoints - 1));
+        const n = Math.floor((end - start) / dt) + 1;
+        if (n < 10) throw new Error(`Insufficient overlapping data points (${n})`);
+        const grid = new Float64Array(n);
+        for (let i = 0; i < n; i++) grid[i] = start + i * dt;
+        const a = window.RQAEngine.resample(seriesA.times, seriesA.values, grid);
+        const b = window.RQAEngine.resample(seriesB.times, seriesB.values, grid);
+
+        // Keep at least half of the shared range in every comparison
+        const maxSteps = Math.min(Math.round(maxLag / dt), Math.floor(n / 2));
+        const result = { lag: [], r: [], bestLag: 0, bestR: -Infinity, dt };
+        for (let k = -maxSteps; k <= maxSteps; k++) {
+            const r = this.pearson(a, b, Math.max(0, -k), Math.min(n, n - k), k);
+            result.lag.push(k * dt);
+            result.r.push(r);
+            if (r > result.bestR) {
+                result.bestR = r;
+                result.bestLag = k * dt;
+            }
+        }
+        if (!isFinite(result.bestR)) throw new Error('One of the series is constant over the shared range');
+        return result;
+    },
+
+    // Correlation of a[i] with b[i + k] for i in [from, to)
+    pearson(a, b, from, to, k) {
+        const count = to - from;
+        let sumA = 0;
+        let sumB = 0;
+        for (let i = from; i < to; i++) {
+            sumA += a[i];
+            sumB += b[i + k];
+        }
+        const meanA = sumA / count;
+        const meanB = sumB / count;
+        let cov = 0;
+        let varA = 0;
+        let varB = 0;
+        for (let i = from; i < to; i++) {
+            const da = a[i] - meanA;
+            const db = b[i + k] - meanB;
+            cov += da * db;
+            varA += da * da;
+            varB += db * db;
+        }
+        return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : NaN;
+    }
+};
@@ -0,0 +1,161 @@
+// Timeseries ingestion. CSV/TSV/JSON exports are converted to the dashboard's rows:
+// [{ Time, <value column>, ... }] with Time in seconds on the dashboard's clock.
+window.TimeseriesIngest = {
+    extensions: ['csv', 'tsv', 'json'],
+
+    // Seconds per unit of the time column
+    timeUnits: {
+        s: 1,
+        ms: 0.001,
+        us: 0.000001,
+        min: 60
+    },
+
+    // Time columns tried (case-insensitively) when `timeColumn` isn't configured, with the unit they imply
+    timeColumns: [
+        ['time', 's'],
+        ['time_s', 's'],
+        ['t', 's'],
+        ['seconds', 's'],
+        ['timestamp', 's'],
+        ['time_ms', 'ms'],
+        ['timestamp_ms', 'ms'],
+        ['frame', 'frames']
+    ],
+
+    delimiters: { tab: '\t', comma: ',', semicolon: ';', pipe: '|' },
+
+    // Each row keeps the untouched value of its source time column under this key, for exports.
+    // A symbol never shows up among a row's columns, whatever the file's column names are.
+    sourceTime: Symbol('sourceTime'),
+
+    // `settings` are the measurement's dataTypeSettings:
+    // { format, delimiter, timeColumn, timeUnit, frameRate, startAtZero, offset }
+    parse(text, settings = {}, filename = '') {
+        const extension = ((/\.([a-z]+)$/i.exec(filename) || [])[1] || '').toLowerCase();
+        const format = settings.format && settings.format !== 'auto'
+            ? settings.format.toLowerCase()
+            : extension === 'json' || /^\s*[[{]/.test(text) ? 'json' : 'csv';
+        const table = format === 'json' ? this.parseJSON(text) : this.parseDelimited(text, settings, extension);
+        return this.toRows(table, settings);
+    },
+
+    parseDelimited(text, settings, extension) {
+        const delimiter = settings.delimiter
+            ? this.delimiters[settings.delimiter] || settings.delimiter
+            : extension === 'tsv' ? '\t' : '';
+        const parsed = Papa.parse(text, {
+            header: true,
+            dynamicTyping: true,
+            skipEmptyLines: true,
+            delimiter: delimiter
+        });
+        return { rows: parsed.data, fields: parsed.meta.fields || [] };
+    },
+
+    // A list of row objects, an object of equal-length column arrays, or either under a "data" key
+    parseJSON(text) {
+        let data = JSON.parse(text);
+        if (data && !Array.isArray(data) && data.data) data = data.data;
+        if (Array.isArray(data)) {
+            const fields = [];
+            data.forEach(row => Object.keys(row || {}).forEach(key => {
+                if (!fields.includes(key)) fields.push(key);
+            }));
+            return { rows: data.filter(row => row && typeof row === 'object'), fields };
+        }
+        if (data && typeof data === 'object') {
+            const fields = Object.keys(data).filter(key => Array.isArray(data[key]));
+            const length = Math.max(0, ...fields.map(key => data[key].length));
+            const rows = [];
+            for (let i = 0; i < length; i++) {
+                const row = {};
+                fields.forEach(key => { row[key] = data[key][i]; });
+                rows.push(row);
+            }
+            return { rows, fields };
+        }
+        throw new Error('JSON timeseries must be an array of rows or an object of column arrays');
+    },
+
+    // Configured time column, or the first known name present in the file
+    findTimeColumn(fields, settings) {
+        if (settings.timeColumn) {
+            if (!fields.includes(settings.timeColumn)) {
+                throw new Error(`Time column "${settings.timeColumn}" not found (columns: ${fields.join(', ')})`);
+            }
+            return { column: settings.timeColumn, unit: this.unitFromName(settings.timeColumn) };
+        }
+        for (const [name, unit] of this.timeColumns) {
+            const column = fields.find(field => field.trim().toLowerCase() === name);
+            if (column) return { column, unit };
+        }
+        throw new Error(`No time column found (columns: ${fields.join(', ')}); set "timeColumn" in dataTypeSettings`);
+    },
+
+    // Unit implied by a time column's name: a known name, or a _ms/_us/_s/_min/_frame suffix
+    unitFromName(name) {
+        const lower = String(name).trim().toLowerCase();
+        const known = this.timeColumns.find(([column]) => column === lower);
+        if (known) return known[1];
+        const suffix = /(?:^|_)(ms|us|s|min|frames?)$/.exec(lower);
+        if (!suffix) return null;
+        return suffix[1].startsWith('frame') ? 'frames' : suffix[1];
+    },
+
+    // Seconds per time-column step: frame numbers divide by the frame rate, other units multiply
+    timeScale(unit, settings) {
+        if (unit === 'frames') {
+            const frameRate = parseFloat(settings.frameRate);
+            if (!(frameRate > 0)) throw new Error('Time is in frames but no "frameRate" is configured');
+            return 1 / frameRate;
+        }
+        if (!(unit in this.timeUnits)) throw new Error(`Unknown time unit: ${unit}`);
+        return this.timeUnits[unit];
+    },
+
+    // Numbers, numeric strings or "hh:mm:ss.sss" timecodes
+    parseTime(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string' || value.trim() === '') return NaN;
+        let seconds = 0;
+        for (const part of value.trim().split(':')) {
+            const number = Number(part);
+            if (!isFinite(number)) return NaN;
+            seconds = seconds * 60 + number;
+        }
+        return seconds;
+    },
+
+    toRows({ rows, fields }, settings) {
+        const { column, unit: detectedUnit } = this.findTimeColumn(fields, settings);
+        const unit = settings.timeUnit || detectedUnit || (settings.frameRate ? 'frames' : 's');
+        const scale = this.timeScale(unit, settings);
+        const offset = parseFloat(settings.offset) || 0;
+        const valueFields = fields.filter(field => field !== column && field !== 'Time');
+
+        // Absolute clocks (e.g. Unix timestamps) can be moved so the first sample is at 0
+        let origin = 0;
+        if (settings.startAtZero) {
+            origin = Infinity;
+            rows.forEach(row => {
+                const time = this.parseTime(row[column]);
+                if (time < origin) origin = time;
+            });
+            if (!isFinite(origin)) origin = 0;
+        }
+
+        const converted = [];
+        rows.forEach(row => {
+            const time = this.parseTime(row[column]);
+            if (!isFinite(time)) return;
+            const entry = { Time: (time - origin) * scale + offset, [this.sourceTime]: row[column] };
+            valueFields.forEach(field => {
+                const value = row[field];
+                entry[field] = typeof value === 'string' && value.trim() !== '' && isFinite(Number(value)) ? Number(value) : value;
+            });
+            converted.push(entry);
+        });
+        return { rows: converted, fields: ['Time', ...valueFields], sourceFields: fields, timeColumn: column, unit };
+    }
+};
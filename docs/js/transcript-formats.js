@@ -0,0 +1,315 @@
+// Transcript format adapters. Every format is normalized to the dashboard's model:
+// { format, tiers: [{ name, speaker }], segments: [{ start, end, speaker, tier, text, words }] }
+// with times in seconds, segments sorted by start and word timings on every segment.
+window.TranscriptFormats = {
+    extensions: {
+        json: 'json',
+        srt: 'srt',
+        vtt: 'vtt',
+        eaf: 'eaf',
+        textgrid: 'TextGrid',
+        csv: 'csv'
+    },
+
+    // Format from the file extension, falling back to the content
+    detect(text, filename = '') {
+        const extension = (/\.([a-z]+)$/i.exec(filename) || [])[1];
+        const byExtension = extension && Object.keys(this.extensions).find(format => format === extension.toLowerCase());
+        if (byExtension) return byExtension;
+
+        const head = text.replace(/^﻿/, '').trimStart().slice(0, 200);
+        if (head.startsWith('{')) return 'json';
+        if (head.startsWith('WEBVTT')) return 'vtt';
+        if (/<ANNOTATION_DOCUMENT/i.test(head) || head.startsWith('<?xml')) return 'eaf';
+        if (/ooTextFile/.test(head)) return 'textgrid';
+        if (/^\d+\s*\r?\n\s*[\d:,.]+\s*-->/.test(head)) return 'srt';
+        return 'csv';
+    },
+
+    // `options`: { format ('auto' to detect), filename, tiers (speech tiers to keep), wordTiers ({ wordTier: speechTier }) }
+    parse(text, options = {}) {
+        const format = !options.format || options.format === 'auto'
+            ? this.detect(text, options.filename)
+            : options.format.toLowerCase();
+        const parsers = {
+            json: () => this.parseJSON(text),
+            srt: () => this.parseCues(text),
+            vtt: () => this.parseCues(text),
+            eaf: () => this.parseEAF(text),
+            textgrid: () => this.parseTextGrid(text),
+            csv: () => this.parseCSV(text)
+        };
+        if (!parsers[format]) throw new Error(`Unknown transcript format: ${format}`);
+        return this.normalize(parsers[format](), format, options);
+    },
+
+    // "01:02:03,500", "02:03.5" or plain seconds
+    parseTimestamp(value) {
+        if (typeof value === 'number') return value;
+        const parts = String(value).trim().replace(',', '.').split(':');
+        let seconds = 0;
+        for (const part of parts) {
+            const number = parseFloat(part);
+            if (!isFinite(number)) return NaN;
+            seconds = seconds * 60 + number;
+        }
+        return seconds;
+    },
+
+    // Leading "Name:" or "[Name]" speaker labels as used in subtitle files
+    splitSpeaker(text) {
+        const match = /^\s*(?:\[([^\]]{1,40})\]|([A-Za-z][\w .'-]{0,30}?)\s*:)\s+(.+)$/s.exec(text);
+        return match ? { speaker: (match[1] || match[2]).trim(), text: match[3] } : { speaker: null, text };
+    },
+
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        return { segments: Array.isArray(data) ? data : data.segments || [], tiers: data.tiers };
+    },
+
+    // SRT and WebVTT cues; WebVTT voice tags (<v Name>) give the speaker. A "Name:" or
+    // "[Name]" prefix only counts as a speaker when it labels more than one cue, so a
+    // one-off line such as "Time: 10 o'clock" keeps its text.
+    parseCues(text) {
+        const segments = [];
+        const labels = {};
+        text.replace(/^﻿/, '').replace(/\r/g, '').split(/\n\s*\n/).forEach(block => {
+            const lines = block.split('\n').filter(line => line.trim() !== '');
+            const timing = lines.findIndex(line => line.includes('-->'));
+            if (timing === -1) return;
+            const [from, to] = lines[timing].split('-->');
+            const start = this.parseTimestamp(from);
+            const end = this.parseTimestamp(to.trim().split(/\s+/)[0]);
+            if (!isFinite(start) || !isFinite(end)) return;
+
+            let raw = lines.slice(timing + 1).join(' ');
+            const voice = /<v(?:\.[^ >]*)?\s+([^>]+)>/.exec(raw);
+            raw = raw.replace(/<[^>]+>/g, '').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').trim();
+            const labelled = voice ? { speaker: voice[1].trim(), text: raw } : this.splitSpeaker(raw);
+            if (!labelled.text) return;
+            if (!voice && labelled.speaker) labels[labelled.speaker] = (labels[labelled.speaker] || 0) + 1;
+            segments.push({ start, end, speaker: labelled.speaker, text: labelled.text, raw: voice ? null : raw });
+        });
+        return {
+            segments: segments.map(({ raw, ...segment }) => (raw !== null && segment.speaker && labels[segment.speaker] < 2
+                ? { ...segment, speaker: null, text: raw }
+                : segment))
+        };
+    },
+
+    // ELAN: every tier becomes a tier; annotations on subdivision tiers become the words of their parent
+    parseEAF(text) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) throw new Error('Invalid ELAN file');
+
+        const slots = {};
+        Array.from(xml.getElementsByTagName('TIME_SLOT')).forEach(slot => {
+            const value = slot.getAttribute('TIME_VALUE');
+            if (value !== null) slots[slot.getAttribute('TIME_SLOT_ID')] = parseFloat(value) / 1000;
+        });
+        const constraints = {};
+        Array.from(xml.getElementsByTagName('LINGUISTIC_TYPE')).forEach(type => {
+            constraints[type.getAttribute('LINGUISTIC_TYPE_ID')] = type.getAttribute('CONSTRAINTS') || '';
+        });
+
+        const annotations = {};
+        const tiers = [];
+        Array.from(xml.getElementsByTagName('TIER')).forEach(tierElement => {
+            const tier = {
+                name: tierElement.getAttribute('TIER_ID'),
+                speaker: tierElement.getAttribute('PARTICIPANT') || null,
+                parent: tierElement.getAttribute('PARENT_REF') || null,
+                constraint: constraints[tierElement.getAttribute('LINGUISTIC_TYPE_REF')] || '',
+                annotations: []
+            };
+            Array.from(tierElement.getElementsByTagName('ANNOTATION')).forEach(wrapper => {
+                const element = wrapper.firstElementChild;
+                const valueElement = element && element.getElementsByTagName('ANNOTATION_VALUE')[0];
+                const annotation = {
+                    id: element.getAttribute('ANNOTATION_ID'),
+                    tier: tier.name,
+                    ref: element.getAttribute('ANNOTATION_REF'),
+                    start: slots[element.getAttribute('TIME_SLOT_REF1')],
+                    end: slots[element.getAttribute('TIME_SLOT_REF2')],
+                    text: valueElement ? valueElement.textContent.trim() : ''
+                };
+                annotations[annotation.id] = annotation;
+                tier.annotations.push(annotation);
+            });
+            tiers.push(tier);
+        });
+
+        // Symbolic annotations take their parent's time span, shared evenly among siblings on the same tier
+        const children = {};
+        Object.values(annotations).forEach(annotation => {
+            const key = `${annotation.tier}|${annotation.ref}`;
+            if (annotation.ref) (children[key] = children[key] || []).push(annotation);
+        });
+        const resolve = (annotation) => {
+            if (annotation.start !== undefined && annotation.end !== undefined) return annotation;
+            const parent = annotations[annotation.ref];
+            if (!parent) return annotation;
+            resolve(parent);
+            const siblings = children[`${annotation.tier}|${annotation.ref}`];
+            const index = siblings.indexOf(annotation);
+            const step = (parent.end - parent.start) / siblings.length;
+            annotation.start = parent.start + index * step;
+            annotation.end = annotation.start + step;
+            return annotation;
+        };
+        Object.values(annotations).forEach(resolve);
+
+        // Dependent tiers speak for the participant of their parent tier
+        const byName = {};
+        tiers.forEach(tier => { byName[tier.name] = tier; });
+        const speakerOf = (tier) => tier.speaker || (byName[tier.parent] ? speakerOf(byName[tier.parent]) : tier.name);
+        tiers.forEach(tier => { tier.speaker = speakerOf(tier); });
+
+        const segments = [];
+        const wordTiers = {};
+        tiers.forEach(tier => {
+            if (tier.parent && /Subdivision|Included_In/i.test(tier.constraint)) {
+                wordTiers[tier.name] = tier.parent;
+            }
+        });
+        tiers.forEach(tier => {
+            tier.annotations.forEach(annotation => {
+                if (!annotation.text || !isFinite(annotation.start) || !isFinite(annotation.end)) return;
+                segments.push({
+                    start: annotation.start,
+                    end: annotation.end,
+                    speaker: tier.speaker,
+                    tier: tier.name,
+                    text: annotation.text
+                });
+            });
+        });
+        return {
+            segments,
+            tiers: tiers.map(tier => ({ name: tier.name, speaker: tier.speaker })),
+            // Dependent tiers (translations, glosses) are left out unless asked for
+            speechTiers: tiers.filter(tier => !tier.parent).map(tier => tier.name),
+            wordTiers
+        };
+    },
+
+    // Praat TextGrid, long or short text format: both reduce to the same stream of strings and numbers
+    parseTextGrid(text) {
+        const tokens = [];
+        const pattern = /"((?:[^"]|"")*)"|(-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)/g;
+        const source = text.replace(/^﻿/, '').replace(/\[\d*\]/g, '').replace(/<exists>/g, '');
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            tokens.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : parseFloat(match[2]));
+        }
+
+        // "ooTextFile", "TextGrid", xmin, xmax, tier count
+        let position = 5;
+        const tierCount = tokens[4];
+        const segments = [];
+        const tiers = [];
+        for (let t = 0; t < tierCount && position < tokens.length; t++) {
+            const [tierClass, name] = [tokens[position], tokens[position + 1]];
+            const count = tokens[position + 4];
+            position += 5;
+            tiers.push({ name, speaker: name });
+            for (let i = 0; i < count; i++) {
+                let start;
+                let end;
+                let label;
+                if (tierClass === 'IntervalTier') {
+                    [start, end, label] = tokens.slice(position, position + 3);
+                    position += 3;
+                } else {
+                    [start, label] = tokens.slice(position, position + 2);
+                    end = start;
+                    position += 2;
+                }
+                if (typeof label === 'string' && label.trim() !== '') {
+                    segments.push({ start, end, speaker: name, tier: name, text: label.trim() });
+                }
+            }
+        }
+        return { segments, tiers };
+    },
+
+    // Turn tables with start/end/speaker/text columns (common alternative names accepted)
+    parseCSV(text) {
+        const parsed = Papa.parse(text.replace(/^﻿/, ''), { header: true, skipEmptyLines: true });
+        const fields = parsed.meta.fields || [];
+        const find = (...names) => fields.find(field => names.includes(field.trim().toLowerCase()));
+        const columns = {
+            start: find('start', 'begin', 'onset', 'start_time', 'starttime', 'begin time', 'start time', 'tmin'),
+            end: find('end', 'stop', 'offset', 'end_time', 'endtime', 'end time', 'stop time', 'tmax'),
+            speaker: find('speaker', 'participant', 'speaker_id', 'person'),
+            tier: find('tier', 'tier name'),
+            text: find('text', 'transcript', 'utterance', 'annotation', 'value', 'word', 'words')
+        };
+        if (!columns.start || !columns.end || !columns.text) {
+            throw new Error('Transcript CSV needs start, end and text columns');
+        }
+
+        const segments = [];
+        parsed.data.forEach(row => {
+            const start = this.parseTimestamp(row[columns.start]);
+            const end = this.parseTimestamp(row[columns.end]);
+            const text = String(row[columns.text] || '').trim();
+            if (!isFinite(start) || !isFinite(end) || !text) return;
+            const tier = columns.tier ? row[columns.tier] || null : null;
+            const speaker = columns.speaker ? row[columns.speaker] || null : null;
+            segments.push({ start, end, speaker: speaker || tier, tier, text });
+        });
+        return { segments };
+    },
+
+    // Word timings spread over the segment in proportion to word length, for formats without them
+    estimateWords(segment) {
+        const tokens = segment.text.split(/\s+/).filter(Boolean);
+        const totalLength = tokens.reduce((sum, token) => sum + token.length, 0) || 1;
+        const duration = Math.max(0, segment.end - segment.start);
+        let time = segment.start;
+        return tokens.map(token => {
+            const start = time;
+            time += duration * token.length / totalLength;
+            return { word: token, start, end: time, speaker: segment.speaker, estimated: true };
+        });
+    },
+
+    normalize(parsed, format, options = {}) {
+        const keepTiers = Array.isArray(options.tiers) && options.tiers.length > 0 ? options.tiers : parsed.speechTiers || null;
+        const wordTiers = { ...(parsed.wordTiers || {}), ...(options.wordTiers || {}) };
+
+        let segments = parsed.segments
+            .filter(segment => typeof segment.start === 'number' && typeof segment.end === 'number')
+            .map(segment => ({
+                ...segment,
+                speaker: segment.speaker || 'UNKNOWN',
+                text: segment.text !== undefined ? String(segment.text) : (segment.words || []).map(w => w.word).join(' ')
+            }));
+
+        // Word tiers are folded into the segments of their speech tier
+        const wordSegments = segments.filter(segment => wordTiers[segment.tier]);
+        segments = segments.filter(segment => !wordTiers[segment.tier]);
+        if (keepTiers) segments = segments.filter(segment => !segment.tier || keepTiers.includes(segment.tier));
+        segments.sort((a, b) => a.start - b.start);
+        wordSegments.sort((a, b) => a.start - b.start).forEach(word => {
+            const owner = segments.find(segment => segment.tier === wordTiers[word.tier] &&
+                word.start >= segment.start - 0.001 && word.end <= segment.end + 0.001);
+            if (!owner) return;
+            owner.words = owner.words || [];
+            owner.words.push({ word: word.text, start: word.start, end: word.end, speaker: owner.speaker });
+        });
+
+        segments.forEach(segment => {
+            if (!segment.words || segment.words.length === 0) {
+                segment.words = this.estimateWords(segment);
+            }
+        });
+
+        const tierNames = parsed.tiers
+            ? parsed.tiers.filter(tier => !wordTiers[tier.name] && (!keepTiers || keepTiers.includes(tier.name)))
+            : [...new Set(segments.map(segment => segment.tier).filter(Boolean))].map(name => ({ name, speaker: name }));
+
+        return { format, tiers: tierNames, segments };
+    }
+};
@@ -0,0 +1,129 @@
+// Scrollable word-level transcript with karaoke highlighting and click-to-seek
+window.TranscriptPanel = class TranscriptPanel {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSeek = options.onSeek || null;
+        this.words = [];
+        this.wordElements = [];
+        this.activeIndex = -1;
+        this.windowRange = null;
+
+        // A single delegated listener handles clicks on every word and turn header
+        this.container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-time]');
+            if (target && this.onSeek) {
+                this.onSeek(parseFloat(target.dataset.time));
+            }
+        });
+    }
+
+    setTranscript(transcript) {
+        const utils = window.TranscriptUtils;
+        this.words = utils.getWords(transcript);
+        this.wordElements = new Array(this.words.length);
+        this.activeIndex = -1;
+        this.windowRange = null;
+        this.container.innerHTML = '';
+
+        if (this.words.length === 0) {
+            this.container.textContent = 'No transcript available';
+            return;
+        }
+
+        // Group word indices by segment so turns render in transcript order
+        const wordsBySegment = {};
+        this.words.forEach((word, index) => {
+            (wordsBySegment[word.segmentIndex] = wordsBySegment[word.segmentIndex] || []).push(index);
+        });
+        Object.values(wordsBySegment).forEach(indices => {
+            indices.sort((a, b) => this.words[a].wordIndex - this.words[b].wordIndex);
+        });
+
+        const speakers = utils.getSpeakers(transcript);
+        const fragment = document.createDocumentFragment();
+
+        utils.buildTurns(transcript).forEach(turn => {
+            const turnEl = document.createElement('div');
+            turnEl.className = 'transcript-turn';
+
+            const header = document.createElement('div');
+            header.className = 'transcript-speaker';
+            header.dataset.time = turn.start;
+            header.style.color = utils.speakerColor(turn.speaker, speakers);
+            header.textContent = `${turn.speaker} · ${utils.formatTime(turn.start)}`;
+            turnEl.appendChild(header);
+
+            const body = document.createElement('div');
+            turn.segmentIndices.forEach(segmentIndex => {
+                (wordsBySegment[segmentIndex] || []).forEach(wordIndex => {
+                    const word = this.words[wordIndex];
+                    const span = document.createElement('span');
+                    span.className = 'transcript-word';
+                    span.dataset.time = word.start;
+                    span.textContent = word.word;
+                    span.title = `${word.start.toFixed(2)}s - ${word.end.toFixed(2)}s` +
+                        (typeof word.score === 'number' ? ` (score ${word.score.toFixed(2)})` : '');
+                    if (word.speaker !== turn.speaker) {
+                        span.style.color = utils.speakerColor(word.speaker, speakers);
+                    }
+                    this.wordElements[wordIndex] = span;
+                    body.appendChild(span);
+                    body.appendChild(document.createTextNode(' '));
+                });
+            });
+            turnEl.appendChild(body);
+            fragment.appendChild(turnEl);
+        });
+
+        this.container.appendChild(fragment);
+    }
+
+    // Mark words overlapping the selected window and scroll the first one into view
+    setWindow(startTime, endTime) {
+        this.wordElements.forEach(el => el && el.classList.remove('in-window'));
+        this.windowRange = [startTime, endTime];
+
+        let first = null;
+        this.words.forEach((word, index) => {
+            if (word.end >= startTime && word.start <= endTime) {
+                const el = this.wordElements[index];
+                if (!el) return;
+                el.classList.add('in-window');
+                if (!first) first = el;
+            }
+        });
+
+        if (first) this.scrollTo(first, true);
+    }
+
+    // Karaoke highlight of the word being spoken at `time`
+    setTime(time) {
+        const utils = window.TranscriptUtils;
+        let index = utils.findWordIndex(this.words, time);
+        if (index !== -1 && time > this.words[index].end + 0.5) {
+            index = -1; // in a pause between words
+        }
+        if (index === this.activeIndex) return;
+
+        if (this.activeIndex !== -1 && this.wordElements[this.activeIndex]) {
+            this.wordElements[this.activeIndex].classList.remove('active');
+        }
+        this.activeIndex = index;
+
+        const el = index !== -1 ? this.wordElements[index] : null;
+        if (el) {
+            el.classList.add('active');
+            this.scrollTo(el, false);
+        }
+    }
+
+    scrollTo(el, force) {
+        // Scroll the panel only (not the page); during playback only when the word leaves the view
+        const top = el.offsetTop;
+        const visibleTop = this.container.scrollTop;
+        const visibleBottom = visibleTop + this.container.clientHeight;
+        if (force || top < visibleTop || top + el.offsetHeight > visibleBottom) {
+            this.container.scrollTop = Math.max(0, top - this.container.clientHeight / 3);
+        }
+    }
+};
@@ -0,0 +1,228 @@
+// Transcript helpers shared by the transcript panel and the plot layers
+window.TranscriptUtils = {
+    speakerPalette: ['#4dabf7', '#ff922b', '#51cf66', '#cc5de8', '#fcc419', '#ff6b6b', '#20c997', '#a9a9a9'],
+
+    getSpeakers(transcript) {
+        if (!transcript || !transcript.segments) return [];
+        const speakers = [];
+        transcript.segments.forEach(segment => {
+            const speaker = segment.speaker || 'UNKNOWN';
+            if (!speakers.includes(speaker)) speakers.push(speaker);
+        });
+        return speakers.sort();
+    },
+
+    overlapColor: '#f06595',
+    silenceColor: '#868e96',
+
+    speakerColor(speaker, speakers) {
+        const index = Math.max(0, speakers.indexOf(speaker));
+        return this.speakerPalette[index % this.speakerPalette.length];
+    },
+
+    // Split the conversation into contiguous bands of single-speaker talk,
+    // overlapping speech and silence. Silences shorter than `minSilence`
+    // seconds are absorbed so ordinary pauses between words don't flicker.
+    computeSpeakerBands(transcript, minSilence = 0.3) {
+        if (!transcript || !transcript.segments || transcript.segments.length === 0) return [];
+
+        const events = [];
+        transcript.segments.forEach(segment => {
+            if (!(segment.end > segment.start)) return;
+            const speaker = segment.speaker || 'UNKNOWN';
+            events.push({ time: segment.start, speaker, delta: 1 });
+            events.push({ time: segment.end, speaker, delta: -1 });
+        });
+        // Process ends before starts at the same instant so touching segments don't count as overlap
+        events.sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+        const active = {};
+        const bands = [];
+        const pushBand = (start, end) => {
+            if (end <= start) return;
+            const speakers = Object.keys(active).filter(s => active[s] > 0);
+            let band;
+            if (speakers.length === 0) {
+                band = { kind: 'silence', speaker: null };
+            } else if (speakers.length === 1) {
+                band = { kind: 'speaker', speaker: speakers[0] };
+            } else {
+                band = { kind: 'overlap', speaker: speakers.sort().join(' + ') };
+            }
+            const last = bands[bands.length - 1];
+            if (last && last.kind === band.kind && last.speaker === band.speaker && last.end === start) {
+                last.end = end;
+            } else {
+                bands.push({ start, end, kind: band.kind, speaker: band.speaker });
+            }
+        };
+
+        let previousTime = events[0].time;
+        events.forEach(event => {
+            pushBand(previousTime, event.time);
+            active[event.speaker] = (active[event.speaker] || 0) + event.delta;
+            previousTime = event.time;
+        });
+
+        // Drop short silences and join the bands on either side when they match
+        const merged = [];
+        bands.forEach(band => {
+            if (band.kind === 'silence' && band.end - band.start < minSilence) return;
+            const last = merged[merged.length - 1];
+            if (last && last.kind === band.kind && last.speaker === band.speaker && band.start - last.end < minSilence) {
+                last.end = band.end;
+            } else {
+                merged.push({ ...band });
+            }
+        });
+        return merged;
+    },
+
+    // Flatten segments into a time-sorted word list. Words without timing
+    // (WhisperX skips alignment for numbers and symbols) inherit it from
+    // their neighbours so every word can be highlighted and clicked.
+    getWords(transcript) {
+        if (!transcript || !transcript.segments) return [];
+
+        const words = [];
+        transcript.segments.forEach((segment, segmentIndex) => {
+            const segmentSpeaker = segment.speaker || 'UNKNOWN';
+            const segmentWords = segment.words && segment.words.length > 0
+                ? segment.words
+                : [{ word: (segment.text || '').trim(), start: segment.start, end: segment.end }];
+
+            let previousEnd = segment.start;
+            segmentWords.forEach((word, i) => {
+                const start = typeof word.start === 'number' ? word.start : previousEnd;
+                let end = typeof word.end === 'number' ? word.end : null;
+                if (end === null) {
+                    const next = segmentWords.slice(i + 1).find(w => typeof w.start === 'number');
+                    end = next ? next.start : segment.end;
+                }
+                previousEnd = end;
+
+                words.push({
+                    word: word.word,
+                    start: start,
+                    end: Math.max(start, end),
+                    score: word.score,
+                    speaker: word.speaker || segmentSpeaker,
+                    segmentIndex: segmentIndex,
+                    wordIndex: i
+                });
+            });
+        });
+
+        return words.sort((a, b) => a.start - b.start);
+    },
+
+    // Merge consecutive segments by the same speaker into turns
+    buildTurns(transcript) {
+        if (!transcript || !transcript.segments) return [];
+
+        const turns = [];
+        const order = transcript.segments.map((segment, index) => index)
+            .sort((a, b) => transcript.segments[a].start - transcript.segments[b].start);
+        order.forEach(index => {
+            const segment = transcript.segments[index];
+            const speaker = segment.speaker || 'UNKNOWN';
+            const last = turns[turns.length - 1];
+            if (last && last.speaker === speaker) {
+                last.end = Math.max(last.end, segment.end);
+                last.segmentIndices.push(index);
+            } else {
+                turns.push({ speaker: speaker, start: segment.start, end: segment.end, segmentIndices: [index] });
+            }
+        });
+        return turns;
+    },
+
+    // Index of the last word starting at or before `time` (-1 if none)
+    findWordIndex(words, time) {
+        let low = 0;
+        let high = words.length - 1;
+        let result = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (words[mid].start <= time) {
+                result = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return result;
+    },
+
+    normalizeToken(text) {
+        return (text || '').toLowerCase().replace(/[^\p{L}\p{N}'\[\]]+/gu, '');
+    },
+
+    // Find every occurrence of a word or phrase. Plain queries match whole
+    // words (punctuation and case ignored) in sequence; regex queries run
+    // against the running text so they can span several words.
+    searchWords(words, query, options = {}) {
+        const pattern = (query || '').trim();
+        if (!pattern) return [];
+
+        const pool = options.speaker ? words.filter(w => w.speaker === options.speaker) : words;
+        const hits = [];
+        const makeHit = (from, to) => {
+            const matched = pool.slice(from, to + 1);
+            return {
+                start: matched[0].start,
+                end: matched[matched.length - 1].end,
+                speaker: matched[0].speaker,
+                text: matched.map(w => w.word).join(' '),
+                context: pool.slice(Math.max(0, from - 4), to + 5).map(w => w.word).join(' ')
+            };
+        };
+
+        if (options.regex) {
+            const regex = new RegExp(pattern, 'gi'); // throws on invalid input; caller reports it
+            let text = '';
+            const offsets = [];
+            pool.forEach((word, i) => {
+                offsets.push(text.length);
+                text += (i > 0 ? ' ' : '') + word.word;
+            });
+            // Map a character position back to the word containing it
+            const wordAt = (charIndex) => {
+                let low = 0;
+                let high = offsets.length - 1;
+                while (low < high) {
+                    const mid = (low + high + 1) >> 1;
+                    if (offsets[mid] <= charIndex) low = mid; else high = mid - 1;
+                }
+                return low;
+            };
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    regex.lastIndex++;
+                    continue;
+                }
+                hits.push(makeHit(wordAt(match.index), wordAt(match.index + match[0].length - 1)));
+            }
+            return hits;
+        }
+
+        const tokens = pattern.split(/\s+/).map(t => this.normalizeToken(t)).filter(Boolean);
+        if (tokens.length === 0) return [];
+        const normalized = pool.map(w => this.normalizeToken(w.word));
+        for (let i = 0; i + tokens.length <= normalized.length; i++) {
+            if (tokens.every((token, j) => normalized[i + j] === token)) {
+                hits.push(makeHit(i, i + tokens.length - 1));
+            }
+        }
+        return hits;
+    },
+
+    formatTime(seconds) {
+        // Round to tenths before splitting, so 59.96 s reads 1:00.0 rather than 0:60.0
+        const tenths = Math.round(seconds * 10);
+        const minutes = Math.floor(tenths / 600);
+        const secs = ((tenths - minutes * 600) / 10).toFixed(1).padStart(4, '0');
+        return `${minutes}:${secs}`;
+    }
+};
@@ -0,0 +1,45 @@
+// View state in the URL hash, e.g. #video=3120&t=412.0&window=5&tab=rqa&zoom=400-430
+window.URLState = {
+    parse(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const number = (name) => {
+            const value = parseFloat(params.get(name));
+            return isFinite(value) ? value : undefined;
+        };
+        const state = {
+            video: params.get('video') || undefined,
+            time: number('t'),
+            window: number('window'),
+            tab: params.get('tab') || undefined,
+            query: params.get('q') || undefined,
+            regex: params.get('rx') === '1' || undefined,
+            speaker: params.get('speaker') || undefined,
+            bands: params.has('bands') ? params.get('bands') === '1' : undefined,
+            layout: params.get('layout') || undefined,
+            annotation: params.get('annotation') || undefined
+        };
+
+        // Zoom as "start-end"; allow negative numbers on either side
+        const zoom = /^(-?[\d.]+)-(-?[\d.]+)$/.exec(params.get('zoom') || '');
+        if (zoom && parseFloat(zoom[2]) > parseFloat(zoom[1])) {
+            state.zoom = [parseFloat(zoom[1]), parseFloat(zoom[2])];
+        }
+        return state;
+    },
+
+    format(state) {
+        const params = new URLSearchParams();
+        if (state.video) params.set('video', state.video);
+        if (typeof state.time === 'number') params.set('t', state.time.toFixed(2));
+        if (state.window) params.set('window', state.window);
+        if (state.tab && state.tab !== 'timeseries') params.set('tab', state.tab);
+        if (state.zoom) params.set('zoom', `${state.zoom[0].toFixed(2)}-${state.zoom[1].toFixed(2)}`);
+        if (state.query) params.set('q', state.query);
+        if (state.query && state.regex) params.set('rx', '1');
+        if (state.speaker) params.set('speaker', state.speaker);
+        if (state.bands) params.set('bands', '1');
+        if (state.layout) params.set('layout', state.layout);
+        if (state.annotation) params.set('annotation', state.annotation);
+        return `#${params.toString()}`;
+    }
+};
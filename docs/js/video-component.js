@@ -3,6 +3,19 @@ window.TimeRangeVideo = function TimeRangeVideo(props) {
     const { React } = window;
     
     const videoRef = React.useRef(null);
+    const [detectedFps, setDetectedFps] = React.useState(null);
+    
+    // startTime/endTime are dashboard times; the media's own clock runs `offset` seconds ahead
+    const offset = props.offset || 0;
+    
+    // Optional transport (segment player): { loop, rate, preRoll, postRoll, fps }
+    const transport = props.transport || null;
+    const preRoll = transport ? Math.max(0, transport.preRoll || 0) : 0;
+    const postRoll = transport ? Math.max(0, transport.postRoll || 0) : 0;
+    const playStart = props.startTime !== undefined ? Math.max(0, props.startTime - preRoll + offset) : undefined;
+    const playEnd = props.endTime !== undefined ? props.endTime + postRoll + offset : undefined;
+    const rate = transport && transport.rate ? transport.rate : 1;
+    const fps = (transport && transport.fps) || detectedFps || 30;
     
     // Effect to handle time setting when component mounts or props change
     React.useEffect(() => {
@@ -10,9 +23,9 @@ window.TimeRangeVideo = function TimeRangeVideo(props) {
         if (!video) return;
         
         const setVideoTime = () => {
-            if (props.startTime !== undefined && video.readyState >= 2) {
-                console.log(`Setting video time to ${props.startTime}s`);
-                video.currentTime = props.startTime;
+            if (playStart !== undefined && video.readyState >= 2) {
+                console.log(`Setting video time to ${playStart}s`);
+                video.currentTime = playStart;
             }
         };
         
@@ -29,30 +42,174 @@ window.TimeRangeVideo = function TimeRangeVideo(props) {
                 video.removeEventListener('canplay', setVideoTime);
             };
         }
-    }, [props.startTime, props.src]);
+    }, [playStart, props.src]);
+    
+    // Loading a new source resets the rate, so reapply it with the source
+    React.useEffect(() => {
+        const video = videoRef.current;
+        if (!video) return;
+        video.defaultPlaybackRate = rate;
+        video.playbackRate = rate;
+    }, [rate, props.src]);
     
+    // Estimate the frame rate from presented frames while playing, where the browser supports it
+    React.useEffect(() => {
+        const video = videoRef.current;
+        if (!transport || !video || !video.requestVideoFrameCallback) return;
+        
+        let handle = null;
+        let lastMediaTime = null;
+        const intervals = [];
+        const onFrame = (now, metadata) => {
+            if (lastMediaTime !== null && metadata.mediaTime > lastMediaTime) {
+                intervals.push(metadata.mediaTime - lastMediaTime);
+            }
+            lastMediaTime = metadata.mediaTime;
+            if (intervals.length >= 20) {
+                // Median interval, so a dropped frame doesn't halve the estimate
+                const median = intervals.sort((a, b) => a - b)[Math.floor(intervals.length / 2)];
+                setDetectedFps(Math.round(100 / median) / 100);
+                handle = null;
+                return;
+            }
+            handle = video.requestVideoFrameCallback(onFrame);
+        };
+        handle = video.requestVideoFrameCallback(onFrame);
+        
+        return () => {
+            if (handle !== null) video.cancelVideoFrameCallback(handle);
+        };
+    }, [props.src, !!transport]);
+
+    // Effect to report playback position back to the app (throttled to ~10 updates/s)
+    React.useEffect(() => {
+        const video = videoRef.current;
+        if (!video || !props.onPlaybackTime) return;
+
+        let frameId = null;
+        let lastReport = 0;
+
+        const report = () => props.onPlaybackTime(video.currentTime - offset, !video.paused);
+
+        const tick = (now) => {
+            if (now - lastReport >= 100) {
+                lastReport = now;
+                report();
+            }
+            frameId = requestAnimationFrame(tick);
+        };
+
+        const startLoop = () => {
+            if (frameId === null) frameId = requestAnimationFrame(tick);
+        };
+
+        const stopLoop = () => {
+            if (frameId !== null) {
+                cancelAnimationFrame(frameId);
+                frameId = null;
+            }
+            report();
+        };
+
+        video.addEventListener('play', startLoop);
+        video.addEventListener('pause', stopLoop);
+        video.addEventListener('ended', stopLoop);
+        video.addEventListener('seeked', report);
+
+        return () => {
+            if (frameId !== null) cancelAnimationFrame(frameId);
+            video.removeEventListener('play', startLoop);
+            video.removeEventListener('pause', stopLoop);
+            video.removeEventListener('ended', stopLoop);
+            video.removeEventListener('seeked', report);
+        };
+    }, [props.onPlaybackTime, offset]);
+
     const handleTimeUpdate = (e) => {
-        // Handle end time looping for segments
-        if (props.endTime && e.target.currentTime >= props.endTime) {
-            e.target.currentTime = props.startTime || 0;
-            e.target.pause();
+        // At the end of the segment jump back to its start; keep playing when looping
+        if (playEnd && e.target.currentTime >= playEnd) {
+            e.target.currentTime = playStart || 0;
+            if (!transport || !transport.loop) e.target.pause();
         }
     };
     
+    // Step one frame on the frame grid, paused
+    const stepFrame = (direction) => {
+        const video = videoRef.current;
+        if (!video) return;
+        video.pause();
+        video.currentTime = Math.max(0, (Math.round(video.currentTime * fps) + direction) / fps);
+    };
+    
+    const update = (changes) => {
+        if (props.onTransportChange) props.onTransportChange({ ...transport, ...changes });
+    };
+    
+    const renderTransport = () => {
+        const number = (value, fallback) => {
+            const parsed = parseFloat(value);
+            return isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+        };
+        const button = (label, title, onClick) => React.createElement('button', {
+            type: 'button', className: 'panel-button', title: title, onClick: onClick
+        }, label);
+        const fpsSource = transport.fps ? '' : detectedFps ? ' (detected)' : ' (assumed)';
+        
+        return React.createElement('div', { className: 'video-transport' },
+            React.createElement('label', null,
+                React.createElement('input', {
+                    type: 'checkbox',
+                    checked: !!transport.loop,
+                    onChange: (e) => update({ loop: e.target.checked })
+                }),
+                ' Loop'
+            ),
+            React.createElement('label', null, 'Speed ',
+                React.createElement('select', {
+                    value: String(rate),
+                    onChange: (e) => update({ rate: parseFloat(e.target.value) })
+                }, [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2].map(value =>
+                    React.createElement('option', { key: value, value: String(value) }, `${value}×`)
+                ))
+            ),
+            React.createElement('label', null, 'Pre-roll (s) ',
+                React.createElement('input', {
+                    type: 'number', min: 0, step: 0.5, value: preRoll, style: { width: '55px' },
+                    onChange: (e) => update({ preRoll: number(e.target.value, 0) })
+                })
+            ),
+            React.createElement('label', null, 'Post-roll (s) ',
+                React.createElement('input', {
+                    type: 'number', min: 0, step: 0.5, value: postRoll, style: { width: '55px' },
+                    onChange: (e) => update({ postRoll: number(e.target.value, 0) })
+                })
+            ),
+            React.createElement('div', { className: 'video-transport-buttons' },
+                props.onStepWindow && button('⏮', 'Previous window ([)', () => props.onStepWindow(-1)),
+                button('◀|', 'Previous frame', () => stepFrame(-1)),
+                button('|▶', 'Next frame', () => stepFrame(1)),
+                props.onStepWindow && button('⏭', 'Next window (])', () => props.onStepWindow(1)),
+                React.createElement('span', { className: 'video-transport-fps' }, `${fps} fps${fpsSource}`)
+            )
+        );
+    };
+    
     const handleSeeked = (e) => {
         console.log(`Video seeked to: ${e.target.currentTime.toFixed(1)}s (target: ${props.startTime}s)`);
     };
     
     return React.createElement('div', { className: 'video-player-container' },
         React.createElement('h3', { style: { color: 'white' } }, props.title),
-        React.createElement('video', {
+        React.createElement(props.type === 'audio' ? 'audio' : 'video', {
             ref: videoRef,
             src: props.src,
             controls: true,
+            muted: !!props.muted,
             style: { width: '100%' },
             onTimeUpdate: handleTimeUpdate,
             onSeeked: handleSeeked,
             preload: 'metadata'
-        })
+        }),
+        transport && renderTransport()
     );
 };
\ No newline at end of file
@@ -50,6 +50,85 @@ def calculate_recurrence_matrix(time_series, threshold=None, target_recurrence=0
     
     return recurrence_matrix, threshold, actual_recurrence
 
+def run_lengths(line):
+    """
+    Lengths of consecutive runs of recurrences (1s) along a line of the matrix.
+    """
+    padded = np.concatenate(([0], line.astype(np.int8), [0]))
+    diff = np.diff(padded)
+    starts = np.where(diff == 1)[0]
+    ends = np.where(diff == -1)[0]
+    return ends - starts
+
+def summarize_lines(lengths, min_line):
+    """
+    Ratio of recurrences on lines >= min_line, mean and max line length and
+    Shannon entropy of the line length distribution.
+    """
+    points = lengths.sum()
+    long_lines = lengths[lengths >= min_line]
+    if len(long_lines) == 0:
+        return (float(0) if points > 0 else None), None, 0, None
+    _, counts = np.unique(long_lines, return_counts=True)
+    p = counts / counts.sum()
+    return (
+        float(long_lines.sum() / points),
+        float(long_lines.mean()),
+        int(long_lines.max()),
+        float(-(p * np.log(p)).sum())
+    )
+
+def compute_rqa_measures(matrix, min_line=2, exclude_diagonal=True):
+    """
+    Line-based RQA measures (RR, DET, LAM, L, Lmax, ENTR, TT) of a square
+    recurrence matrix. The line of identity is excluded for auto-recurrence.
+    """
+    m = matrix.astype(bool).copy()
+    n = m.shape[0]
+    if exclude_diagonal:
+        np.fill_diagonal(m, False)
+    cells = n * n - n if exclude_diagonal else n * n
+    
+    diagonal = [run_lengths(np.diagonal(m, k)) for k in range(-(n - 1), n) if not (k == 0 and exclude_diagonal)]
+    vertical = [run_lengths(m[:, j]) for j in range(n)]
+    diagonal = np.concatenate(diagonal) if diagonal else np.array([], dtype=int)
+    vertical = np.concatenate(vertical) if vertical else np.array([], dtype=int)
+    
+    det, mean_line, max_line, entropy = summarize_lines(diagonal, min_line)
+    lam, trapping_time, _, _ = summarize_lines(vertical, min_line)
+    
+    return {
+        'recurrence_rate': float(m.sum() / cells) if cells > 0 else None,
+        'determinism': det,
+        'laminarity': lam,
+        'mean_line_length': mean_line,
+        'max_line_length': max_line,
+        'entropy': entropy,
+        'trapping_time': trapping_time
+    }
+
+def compute_windowed_measures(matrix, time_values, window_seconds=30, step_seconds=5, min_line=2):
+    """
+    RQA measures in sliding windows along the main diagonal, aligned to window centres.
+    """
+    n = len(time_values)
+    if window_seconds <= 0 or n < 2:
+        return None
+    dt = (time_values[-1] - time_values[0]) / (n - 1)
+    size = max(min_line, int(round(window_seconds / dt)))
+    step = max(1, int(round(step_seconds / dt)))
+    if size > n:
+        return None
+    
+    windowed = {'window_seconds': window_seconds, 'step_seconds': float(step * dt), 'time': []}
+    for start in range(0, n - size + 1, step):
+        block = matrix[start:start + size, start:start + size]
+        measures = compute_rqa_measures(block, min_line)
+        windowed['time'].append(float((time_values[start] + time_values[start + size - 1]) / 2))
+        for name, value in measures.items():
+            windowed.setdefault(name, []).append(value)
+    return windowed
+
 def matrix_to_sparse_format(matrix):
     """
     Convert recurrence matrix to sparse format for efficient storage.
@@ -86,15 +165,18 @@ def downsample_for_visualization(time_series, time_values, recurrence_matrix, ma
     
     return data_ds, time_ds, matrix_ds
 
-def process_rqa_for_datatype(video_id, data_type):
+def process_rqa_for_datatype(video_id, data_type, columns=None, options=None):
     """
     Process RQA for a specific data type.
+    Returns one result per measurement column. A single column is keyed by
+    the data type itself, several columns as "data_type:column" so the keys
+    match the series shown in the dashboard.
     """
     csv_path = f"assets/timeseries/{video_id}_{data_type}.csv"
     
     if not os.path.exists(csv_path):
         print(f"Warning: File not found: {csv_path}")
-        return None
+        return []
     
     print(f"\nProcessing {video_id} - {data_type}")
     
@@ -104,13 +186,31 @@ def process_rqa_for_datatype(video_id, data_type):
     # Get time column
     if 'Time' not in df.columns:
         print(f"Error: No 'Time' column in {csv_path}")
-        return None
+        return []
     
-    # Get all non-time columns
+    # Get all non-time columns, optionally restricted by config
     data_cols = [col for col in df.columns if col != 'Time']
-    
-    # If multiple columns we take the first one
-    data_col = data_cols[0]
+    if columns:
+        missing = [col for col in columns if col not in data_cols]
+        if missing:
+            print(f"  Warning: configured columns not found: {missing}")
+        data_cols = [col for col in columns if col in data_cols]
+    
+    results = []
+    for data_col in data_cols:
+        key = data_type if len(data_cols) == 1 else f"{data_type}:{data_col}"
+        result = process_rqa_for_column(df, data_type, data_col, options or {})
+        if result:
+            result['key'] = key
+            results.append(result)
+    
+    return results
+
+def process_rqa_for_column(df, data_type, data_col, options):
+    """
+    Process RQA for a single measurement column of a data type.
+    """
+    print(f"  Column: {data_col}")
     
     # Clean data
     mask = ~pd.isna(df[data_col])
@@ -126,6 +226,15 @@ def process_rqa_for_datatype(video_id, data_type):
     # Calculate full recurrence matrix
     rec_matrix_full, threshold, rec_rate = calculate_recurrence_matrix(data_clean)
     
+    # Line-based measures, overall and in sliding windows
+    min_line = options.get('min_line', 2)
+    measures = compute_rqa_measures(rec_matrix_full, min_line)
+    windowed = compute_windowed_measures(
+        rec_matrix_full, time_clean,
+        options.get('window_seconds', 30), options.get('step_seconds', 5), min_line
+    )
+    print(f"  DET: {measures['determinism']}, LAM: {measures['laminarity']}")
+    
     # Downsample for visualization
     data_vis, time_vis, rec_matrix_vis = downsample_for_visualization(
         data_clean, time_clean, rec_matrix_full
@@ -137,8 +246,11 @@ def process_rqa_for_datatype(video_id, data_type):
     # Prepare output data
     result = {
         'data_type': data_type,
+        'column': data_col,
         'threshold': float(threshold),
         'recurrence_rate': float(rec_rate),
+        'measures': measures,
+        'windowed': windowed,
         'time_range': [float(time_clean[0]), float(time_clean[-1])],
         'visualization': {
             'time': time_vis.tolist(),
@@ -158,6 +270,9 @@ def main():
     parser = argparse.ArgumentParser(description='Generate RQA data for DIMS Dashboard')
     parser.add_argument('--config', default='config.json', help='Path to config.json')
     parser.add_argument('--output-dir', default='assets/rqa', help='Output directory for RQA data')
+    parser.add_argument('--window-seconds', type=float, default=None, help='Sliding window length for windowed RQA (0 disables)')
+    parser.add_argument('--step-seconds', type=float, default=None, help='Step between sliding windows')
+    parser.add_argument('--min-line', type=int, default=None, help='Minimum line length for DET, LAM, L, ENTR and TT')
     args = parser.parse_args()
     
     # Load config
@@ -169,6 +284,14 @@ def main():
         print("No RQA requested in config (include_RQA not found or empty)")
         return
     
+    # Windowed RQA options: command line, then config rqaSettings, then defaults
+    rqa_settings = config.get('rqaSettings', {})
+    options = {
+        'window_seconds': args.window_seconds if args.window_seconds is not None else rqa_settings.get('windowSeconds', 30),
+        'step_seconds': args.step_seconds if args.step_seconds is not None else rqa_settings.get('stepSeconds', 5),
+        'min_line': args.min_line if args.min_line is not None else rqa_settings.get('minLineLength', 2)
+    }
+    
     # Create output directory
     os.makedirs(args.output_dir, exist_ok=True)
     
@@ -183,10 +306,11 @@ def main():
         
         # Process each data type
         rqa_results = {}
+        settings = config.get('dataTypeSettings', {})
         for data_type in rqa_data_types:
-            result = process_rqa_for_datatype(video_id, data_type)
-            if result:
-                rqa_results[data_type] = result
+            columns = settings.get(data_type, {}).get('columns')
+            for result in process_rqa_for_datatype(video_id, data_type, columns, options):
+                rqa_results[result['key']] = result
         
         # Save combined data
         if rqa_results:
@@ -200,9 +324,10 @@ def main():
             
             # Print summary
             print("\nSummary:")
-            for data_type, result in rqa_results.items():
-                print(f"  {data_type}:")
+            for key, result in rqa_results.items():
+                print(f"  {key}:")
                 print(f"    - Recurrence rate: {result['recurrence_rate']*100:.2f}%")
+                print(f"    - DET: {result['measures']['determinism']}, LAM: {result['measures']['laminarity']}")
                 print(f"    - Matrix size: {result['visualization']['matrix_size']}x{result['visualization']['matrix_size']}")
                 print(f"    - Sparse points: {len(result['visualization']['sparse_matrix'])}")
     